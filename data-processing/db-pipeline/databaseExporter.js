@@ -1,6 +1,7 @@
 require("dotenv").config({ path: require("path").join(__dirname, "../.env") });
 const mongoose = require("mongoose");
 const generateMongoUri = require("../../src/utill/mongoUri");
+const { toPoint } = require("../../src/utill/gpsPosition");
 
 // Import models
 const Region = require("../../src/models/Region");
@@ -279,7 +280,7 @@ class DatabaseExporter {
           { _id: summit._id },
           {
             $set: {
-              gpsPosition: newGpsPosition,
+              gpsPosition: toPoint(newGpsPosition),
             },
           }
         );
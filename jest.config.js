@@ -1,6 +1,8 @@
 module.exports = {
   testEnvironment: "node",
   testMatch: ["**/__tests__/**/*.js", "**/?(*.)+(spec|test).js"],
+  // helpers of the tests, and the manual run script of the data pipeline (not a test suite)
+  testPathIgnorePatterns: ["/node_modules/", "/__tests__/helpers/", "/data-processing/db-pipeline/test.js"],
   verbose: true,
   forceExit: true,
   clearMocks: true,
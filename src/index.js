@@ -4,6 +4,7 @@ const cookieParser = require('cookie-parser');
 require('dotenv').config();
 const mongoose = require('mongoose');
 const { setupChangeStreams } = require('./services/changeStreamService');
+const { syncTrips } = require('./services/tripService');
 const cache = require('memory-cache');
 const cleanupExpiredTokens = require('./utill/cleanupExpiredTokens');
 const generateMongoUri = require('./utill/mongoUri');
@@ -50,7 +51,9 @@ app.use('/api/auth', authRoutes);
 app.get('/auth-nginx', authenticate, (req, res) => res.sendStatus(200));
 
 app.use('/api/resources', authenticate, apiRoutes);
-app.use('/api/resources/map', authenticate, mapRoutes); //only for development prod routes /api/resources/map/ to nginx
+// in production nginx serves only the static archives (fonts.tar.gz, tiles.tar.gz), the rendered
+// map routes (style, manifest, sprites, tiles, overlay, glyphs, downloads) are proxied here, see README
+app.use('/api/resources/map', authenticate, mapRoutes);
 
 app.use('/api/admin', authenticate, isAdmin, adminRoutes);
 
@@ -70,18 +73,25 @@ const startServer = async () => {
     const Route = require('./models/Route');
     const Summit = require('./models/Summit');
     const User = require('./models/User');
+    const Trip = require('./models/Trip');
+    const ChangeLog = require('./models/ChangeLog');
     await Promise.all([
       Ascent.createIndexes(),
       Climber.createIndexes(),
       Region.createIndexes(),
       Route.createIndexes(),
       Summit.createIndexes(),
-      User.createIndexes()
+      User.createIndexes(),
+      Trip.createIndexes(),
+      ChangeLog.createIndexes()
     ]);
     console.log('Indexes ensured for all models');
 
     // Set up change streams for automatic cache invalidation
-    setupChangeStreams();
+    await setupChangeStreams();
+
+    // Seed trips from the ascents and pick up ascents added while the server was down
+    await syncTrips();
 
     // Run cleanup task every hour
     setInterval(() => {
@@ -0,0 +1,84 @@
+const express = require('express');
+const request = require('supertest');
+const LastChange = require('../../models/LastChange');
+const CacheService = require('../../services/cacheService');
+const { cache } = require('../cache');
+
+let lastModified;
+let compute;
+
+const app = express();
+app.get('/summits', cache('/summits', (req, res) => compute(req, res), ['summits'], ['limit']));
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  CacheService.clearAllCache();
+  lastModified = new Date('2024-05-01T10:00:00Z');
+  jest.spyOn(LastChange, 'find').mockImplementation(async () => (lastModified ? [{ collectionName: 'summits', lastModified }] : []));
+  compute = jest.fn(async (req) => ({ data: [{ name: 'Falkenturm' }], limit: req.query.limit ?? null }));
+});
+
+describe('cache middleware', () => {
+  test('sends validators with the data', async () => {
+    const res = await request(app).get('/summits').expect(200);
+    expect(res.body.data).toEqual([{ name: 'Falkenturm' }]);
+    expect(res.headers.etag).toMatch(/^"[\w-]+"$/);
+    expect(res.headers['last-modified']).toBe(lastModified.toUTCString());
+    expect(res.headers['cache-control']).toBe('private, no-cache');
+  });
+
+  test('answers If-None-Match with 304 and the validators of the 200', async () => {
+    const first = await request(app).get('/summits').expect(200);
+    const res = await request(app).get('/summits').set('If-None-Match', first.headers.etag).expect(304);
+    expect(res.text).toBe('');
+    expect(res.headers.etag).toBe(first.headers.etag);
+    expect(res.headers['last-modified']).toBe(first.headers['last-modified']);
+    expect(res.headers['cache-control']).toBe('private, no-cache');
+  });
+
+  test('answers If-Modified-Since with 304', async () => {
+    const res = await request(app).get('/summits').set('If-Modified-Since', lastModified.toUTCString()).expect(304);
+    expect(res.headers.etag).toBeDefined();
+  });
+
+  test('sends the data again after a change', async () => {
+    const first = await request(app).get('/summits').expect(200);
+    lastModified = new Date('2024-05-02T10:00:00Z');
+    const res = await request(app).get('/summits').set('If-None-Match', first.headers.etag).expect(200);
+    expect(res.headers.etag).not.toBe(first.headers.etag);
+    expect(res.headers['last-modified']).toBe(lastModified.toUTCString());
+  });
+
+  test('computes once per cache key', async () => {
+    await request(app).get('/summits').expect(200);
+    await request(app).get('/summits').expect(200);
+    expect(compute).toHaveBeenCalledTimes(1);
+  });
+
+  test('ignores query parameters the endpoint does not read', async () => {
+    const first = await request(app).get('/summits').expect(200);
+    const res = await request(app).get('/summits?foo=1').expect(200);
+    expect(res.headers.etag).toBe(first.headers.etag);
+    expect(compute).toHaveBeenCalledTimes(1);
+
+    const limited = await request(app).get('/summits?limit=5').expect(200);
+    expect(limited.headers.etag).not.toBe(first.headers.etag);
+    expect(limited.body.limit).toBe('5');
+    expect(compute).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not cache or validate responses the computation sent itself', async () => {
+    compute = jest.fn(async (req, res) => res.status(404).json({ error: 'Summit not found.' }));
+    const res = await request(app).get('/summits').expect(404);
+    expect(res.headers['last-modified']).toBeUndefined();
+    await request(app).get('/summits').expect(404);
+    expect(compute).toHaveBeenCalledTimes(2);
+  });
+
+  test('sends no validators without a recorded change', async () => {
+    lastModified = null;
+    const res = await request(app).get('/summits').set('If-Modified-Since', new Date().toUTCString()).expect(200);
+    expect(res.headers['last-modified']).toBeUndefined();
+    expect(res.headers['cache-control']).toBeUndefined();
+  });
+});
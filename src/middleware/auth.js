@@ -14,6 +14,7 @@ const authenticate = async (req, res, next) => {
     const decoded = jwt.verify(token, JWT_SECRET);
     const user = await User.findById(decoded.userId);
     if (!user) return res.status(401).json({ error: 'User not found' });
+    if (user.disabled) return res.status(401).json({ error: 'User is disabled' });
     req.user = user;
     next();
   } catch (err) {
@@ -1,26 +1,83 @@
+const crypto = require('crypto');
 const CacheService = require('../services/cacheService');
+const { collectionsOf, getLastModified } = require('../utill/routeDependencies');
+
+// Strong ETag for a cache key at a given modification date
+const generateETag = (cacheKey, lastModified) => {
+  const hash = crypto.createHash('sha1').update(`${cacheKey}:${lastModified.getTime()}`).digest('base64url');
+  return `"${hash}"`;
+};
+
+// Whether the client already has the current version (If-None-Match wins over If-Modified-Since)
+const isNotModified = (req, etag, lastModified) => {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    return ifNoneMatch
+      .split(',')
+      .map(tag => tag.trim().replace(/^W\//, ''))
+      .some(tag => tag === '*' || tag === etag);
+  }
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+  if (!isNaN(ifModifiedSince)) {
+    // HTTP dates only have second precision
+    return Math.floor(lastModified.getTime() / 1000) <= Math.floor(ifModifiedSince / 1000);
+  }
+  return false;
+};
+
+// The query parameters an endpoint reads, others must not create separate cache entries
+const pickQuery = (query, queryParams) =>
+  Object.fromEntries(queryParams.filter(param => query[param] !== undefined).map(param => [param, query[param]]));
 
 // Cache middleware for custom computations
-const cache = (endpoint, computationFunction) => {
+// Route parameters in the endpoint (e.g. '/summits/:id') are filled in from req.params.
+// Only the listed queryParams are part of the cache key (entries with a query are size-bounded).
+// Responses carry an ETag and Last-Modified header derived from the LastChange records of
+// the collections the endpoint depends on (by default the routeDependencies of its first
+// path segment) and conditional requests are answered with 304 Not Modified.
+const cache = (endpoint, computationFunction, dependencies = collectionsOf(endpoint.split('/')[1]), queryParams = []) => {
   return async (req, res, next) => {
     try {
-      const cacheKey = CacheService.generateCacheKey(endpoint);
-      
+      const resolvedEndpoint = endpoint.replace(/:(\w+)/g, (match, param) => req.params[param]);
+      const cacheKey = CacheService.generateCacheKey(resolvedEndpoint, pickQuery(req.query, queryParams));
+
+      const lastModified = dependencies ? await getLastModified(dependencies) : null;
+      const etag = lastModified ? generateETag(cacheKey, lastModified) : null;
+      const setValidators = () => {
+        res.set('ETag', etag);
+        res.set('Last-Modified', lastModified.toUTCString());
+        res.set('Cache-Control', 'private, no-cache');
+      };
+      // A 304 carries the same validators as the 200 would
+      if (lastModified && isNotModified(req, etag, lastModified)) {
+        setValidators();
+        return res.status(304).end();
+      }
+      const sendWithValidators = (data) => {
+        if (lastModified) {
+          setValidators();
+        }
+        res.json(data);
+      };
+
       // Check cache
       const cachedData = CacheService.get(cacheKey);
       if (cachedData) {
         console.log(`Cache hit for: ${cacheKey}`);
-        return res.json(cachedData);
+        return sendWithValidators(cachedData);
       }
-      
+
       // Compute data
       console.log(`Computing data for: ${cacheKey}`);
       const result = await computationFunction(req,res);
-      
+
+      // The computation already answered (e.g. with a 400 or 404), nothing to cache
+      if (res.headersSent) return;
+
       // Cache result
       CacheService.set(cacheKey, result);
-      
-      res.json(result);
+
+      sendWithValidators(result);
     } catch (error) {
       console.log(error)
       res.status(500).json();
@@ -29,5 +86,7 @@ const cache = (endpoint, computationFunction) => {
 };
 
 module.exports = {
-  cache
-};
\ No newline at end of file
+  cache,
+  generateETag,
+  isNotModified
+};
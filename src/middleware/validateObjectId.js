@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// Middleware to reject requests whose route parameter is not a valid ObjectId
+const validateObjectId = (param = 'id') => (req, res, next) => {
+  if (!mongoose.isObjectIdOrHexString(req.params[param])) {
+    return res.status(400).json({ error: `Invalid ${param}: must be a valid ObjectId.` });
+  }
+  next();
+};
+
+module.exports = validateObjectId;
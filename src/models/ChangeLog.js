@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Ordered log of document changes, written by the change stream service and
+// read by the delta sync endpoint. Entries expire after CHANGE_LOG_RETENTION_DAYS.
+const CHANGE_LOG_RETENTION_DAYS = 90;
+
+const ChangeLogSchema = new mongoose.Schema({
+  collectionName: { type: String, required: true },
+  documentId: { type: mongoose.Schema.Types.ObjectId, default: null }, // null for drops and resets
+  operationType: {
+    type: String,
+    // reset: changes were missed (the change stream could not be resumed), clients download the collection again
+    enum: ['insert', 'update', 'replace', 'delete', 'drop', 'reset'],
+    required: true,
+  },
+  date: { type: Date, required: true },
+  // Resume token of the change stream event, the stream is resumed after the newest one on restart
+  resumeToken: { type: mongoose.Schema.Types.Mixed, default: null }, // null for resets
+});
+ChangeLogSchema.index({ date: 1 }, { expireAfterSeconds: CHANGE_LOG_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ChangeLog', ChangeLogSchema);
+module.exports.CHANGE_LOG_RETENTION_DAYS = CHANGE_LOG_RETENTION_DAYS;
@@ -1,6 +1,55 @@
 const mongoose = require("mongoose");
+const { toLngLat } = require("../utill/gpsPosition");
 const { Schema } = mongoose;
 
+// GeoJSON point ({ type: "Point", coordinates: [lng, lat] }) so summits can be
+// queried geospatially. The lng and lat virtuals keep the old { lng, lat } shape
+// readable and writable, e.g. summit.gpsPosition = { lng, lat }.
+const pointSchema = new Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      default: "Point",
+      required: true,
+    },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: function (v) {
+          return (
+            v.length === 2 &&
+            v.every(Number.isFinite) &&
+            v[0] >= -180 &&
+            v[0] <= 180 &&
+            v[1] >= -90 &&
+            v[1] <= 90
+          );
+        },
+        message: "coordinates must be [lng, lat] within valid ranges",
+      },
+    },
+  },
+  { _id: false }
+);
+pointSchema
+  .virtual("lng")
+  .get(function () {
+    return this.coordinates?.[0];
+  })
+  .set(function (lng) {
+    this.coordinates = [lng, this.coordinates?.[1] ?? null];
+  });
+pointSchema
+  .virtual("lat")
+  .get(function () {
+    return this.coordinates?.[1];
+  })
+  .set(function (lat) {
+    this.coordinates = [this.coordinates?.[0] ?? null, lat];
+  });
+
 const summitSchema = new Schema({
   name: {
     type: String,
@@ -19,8 +68,8 @@ const summitSchema = new Schema({
     index: true,
   },
   gpsPosition: {
-    lng: Number,
-    lat: Number,
+    type: pointSchema,
+    default: undefined,
   },
   teufelsturmId: {
     type: Number,
@@ -32,5 +81,14 @@ const summitSchema = new Schema({
   },
 });
 summitSchema.index({ name: 1, region: 1 }, { unique: true });
+summitSchema.index({ gpsPosition: "2dsphere" });
+
+// Keep the { lng, lat } shape in JSON output
+summitSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    ret.gpsPosition = toLngLat(ret.gpsPosition);
+    return ret;
+  },
+});
 
 module.exports = mongoose.model("Summit", summitSchema);
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// A trip is a group of climbing days. Trips are seeded and extended from the
+// computeTrips output by the trip service, admins can rename, merge and split them.
+const tripSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  // true once an admin renamed the trip, the name is then kept on sync
+  nameEdited: {
+    type: Boolean,
+    default: false,
+  },
+  description: {
+    type: String,
+    default: null,
+  },
+  participants: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: "Climber",
+    },
+  ],
+  // true once an admin set the participants, they are then kept on sync
+  participantsEdited: {
+    type: Boolean,
+    default: false,
+  },
+  days: [
+    {
+      _id: false,
+      name: String, // YYYY-MM-DD
+      ascents: [
+        {
+          type: Schema.Types.ObjectId,
+          ref: "Ascent",
+          index: true,
+        },
+      ],
+    },
+  ],
+  startDate: {
+    type: Date,
+    index: true,
+  },
+  endDate: Date,
+});
+
+// Edit flags and version key are internal to the trip sync
+const internalFields = ["nameEdited", "participantsEdited", "__v"];
+
+tripSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    internalFields.forEach((field) => delete ret[field]);
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("Trip", tripSchema);
+module.exports.internalFields = internalFields;
@@ -3,8 +3,20 @@ const mongoose = require('mongoose');
 const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
   password: { type: String, required: true },
+  displayName: { type: String, trim: true, maxlength: 100, default: null }, // shown instead of the username
   role: { type: String, enum: ['admin', 'user'], default: 'user' },
+  disabled: { type: Boolean, default: false }, // disabled users can neither log in nor use their tokens
   refreshTokens: [{ type: String }], // Store valid refresh tokens for this user
 });
 
-module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
+// Never send password hashes or refresh tokens to clients
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.refreshTokens;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model('User', userSchema); 
@@ -1,3 +1,5 @@
+const { ascentPipeline } = require('./ascent')
+
 const climberPipeline = [
       {
         $lookup: {
@@ -21,4 +23,23 @@ const climberPipeline = [
         $sort: { ascentsCount: -1 }
       }
     ]
-module.exports = {climberPipeline}
\ No newline at end of file
+
+// Single climber with all of their ascents
+const climberDetailPipeline = [
+      {
+        $lookup: {
+          from: 'ascents',
+          localField: '_id',
+          foreignField: 'climbers.climber',
+          as: 'ascents',
+          pipeline: ascentPipeline
+        }
+      },
+      {
+        $addFields: {
+          ascentsCount: { $size: '$ascents' },
+        }
+      }
+    ]
+
+module.exports = {climberPipeline, climberDetailPipeline}
@@ -0,0 +1,87 @@
+const { SCALA } = require("../constants");
+const { climberAscentsPipeline } = require("./climberStats");
+
+// Grade pyramid (ascents per SCALA grade, split by style) and the hardest grade
+// per month of a climber. The grade of a route is its normal grade, falling back
+// to RP and withoutSupport for routes that only have those. Aborted ascents and
+// pure jump routes are left out. Months are UTC months, like the ascent days elsewhere.
+const climberGradesPipeline = (climberId) => [
+  ...climberAscentsPipeline(climberId),
+  { $match: { abortedByClimber: false } },
+  {
+    $addFields: {
+      grade: {
+        $ifNull: [
+          "$route.difficulty.normal",
+          "$route.difficulty.RP",
+          "$route.difficulty.withoutSupport",
+        ],
+      },
+      style: {
+        $switch: {
+          branches: [
+            { case: "$isSolo", then: "solo" },
+            { case: "$isTopRope", then: "topRope" },
+            { case: { $eq: ["$leadClimber", climberId] }, then: "lead" },
+          ],
+          default: "follow",
+        },
+      },
+    },
+  },
+  { $addFields: { gradeIndex: { $indexOfArray: [SCALA, "$grade"] } } },
+  { $match: { gradeIndex: { $gte: 0 } } },
+  {
+    $facet: {
+      pyramid: [
+        {
+          $group: {
+            _id: "$gradeIndex",
+            grade: { $first: "$grade" },
+            total: { $sum: 1 },
+            lead: { $sum: { $cond: [{ $eq: ["$style", "lead"] }, 1, 0] } },
+            follow: { $sum: { $cond: [{ $eq: ["$style", "follow"] }, 1, 0] } },
+            topRope: { $sum: { $cond: [{ $eq: ["$style", "topRope"] }, 1, 0] } },
+            solo: { $sum: { $cond: [{ $eq: ["$style", "solo"] }, 1, 0] } },
+          },
+        },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0 } },
+      ],
+      progression: [
+        {
+          $group: {
+            _id: {
+              $dateToString: { format: "%Y-%m", date: "$date" },
+            },
+            hardestIndex: { $max: "$gradeIndex" },
+            hardestLedIndex: {
+              $max: {
+                $cond: [{ $in: ["$style", ["lead", "solo"]] }, "$gradeIndex", null],
+              },
+            },
+            count: { $sum: 1 },
+          },
+        },
+        { $sort: { _id: 1 } },
+        {
+          $project: {
+            _id: 0,
+            month: "$_id",
+            count: 1,
+            hardest: { $arrayElemAt: [SCALA, "$hardestIndex"] },
+            hardestLed: {
+              $cond: [
+                { $eq: ["$hardestLedIndex", null] },
+                null,
+                { $arrayElemAt: [SCALA, "$hardestLedIndex"] },
+              ],
+            },
+          },
+        },
+      ],
+    },
+  },
+];
+
+module.exports = { climberGradesPipeline };
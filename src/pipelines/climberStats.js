@@ -0,0 +1,140 @@
+const { SCALA, JUMP_SCALA } = require("../constants");
+const { routePipeline } = require("./route");
+
+// Difficulty types of a route and the scale their grades are ordered by
+const difficultyScales = {
+  normal: SCALA,
+  RP: SCALA,
+  jump: JUMP_SCALA,
+  withoutSupport: SCALA,
+};
+
+// Marks every ascent of the climber as led / aborted from the climber's point of view.
+// Solo ascents count as led, an ascent is aborted if the whole ascent or the climber aborted.
+const climberAscentsPipeline = (climberId) => [
+  { $match: { "climbers.climber": climberId } },
+  {
+    $addFields: {
+      ownEntry: {
+        $first: {
+          $filter: {
+            input: "$climbers",
+            cond: { $eq: ["$$this.climber", climberId] },
+          },
+        },
+      },
+    },
+  },
+  {
+    $addFields: {
+      abortedByClimber: {
+        $or: ["$isAborted", { $ifNull: ["$ownEntry.isAborted", false] }],
+      },
+    },
+  },
+  {
+    $addFields: {
+      ledByClimber: {
+        $and: [
+          { $or: [{ $eq: ["$leadClimber", climberId] }, "$isSolo"] },
+          { $not: ["$abortedByClimber"] },
+        ],
+      },
+    },
+  },
+  {
+    $lookup: {
+      from: "routes",
+      localField: "route",
+      foreignField: "_id",
+      as: "route",
+      pipeline: routePipeline,
+    },
+  },
+  { $unwind: { path: "$route", preserveNullAndEmptyArrays: true } },
+  { $project: { ownEntry: 0 } },
+];
+
+// Hardest led route for one difficulty type, ordered by the type's scale
+const hardestLedPipeline = (type) => [
+  {
+    $match: {
+      ledByClimber: true,
+      [`route.difficulty.${type}`]: { $in: difficultyScales[type] },
+    },
+  },
+  {
+    $addFields: {
+      gradeIndex: {
+        $indexOfArray: [difficultyScales[type], `$route.difficulty.${type}`],
+      },
+    },
+  },
+  { $sort: { gradeIndex: -1, date: 1 } },
+  { $limit: 1 },
+  {
+    $project: {
+      _id: 0,
+      grade: `$route.difficulty.${type}`,
+      date: 1,
+      ascent: "$_id",
+      route: "$route",
+    },
+  },
+];
+
+const climberStatsPipeline = (climberId) => [
+  ...climberAscentsPipeline(climberId),
+  {
+    $facet: {
+      counts: [
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            led: { $sum: { $cond: ["$ledByClimber", 1, 0] } },
+            aborted: { $sum: { $cond: ["$abortedByClimber", 1, 0] } },
+          },
+        },
+      ],
+      ...Object.fromEntries(
+        Object.keys(difficultyScales).map((type) => [
+          `hardest_${type}`,
+          hardestLedPipeline(type),
+        ])
+      ),
+      summits: [
+        { $match: { abortedByClimber: false } },
+        { $group: { _id: "$route.summitID" } },
+        { $count: "count" },
+      ],
+      perYear: [
+        { $group: { _id: { $year: "$date" }, count: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, year: "$_id", count: 1 } },
+      ],
+    },
+  },
+  {
+    $project: {
+      total: { $ifNull: [{ $first: "$counts.total" }, 0] },
+      led: { $ifNull: [{ $first: "$counts.led" }, 0] },
+      aborted: { $ifNull: [{ $first: "$counts.aborted" }, 0] },
+      hardestLed: Object.fromEntries(
+        Object.keys(difficultyScales).map((type) => [
+          type,
+          { $ifNull: [{ $first: `$hardest_${type}` }, null] },
+        ])
+      ),
+      summitCount: { $ifNull: [{ $first: "$summits.count" }, 0] },
+      perYear: 1,
+    },
+  },
+  {
+    $addFields: {
+      followed: { $subtract: ["$total", { $add: ["$led", "$aborted"] }] },
+    },
+  },
+];
+
+module.exports = { climberStatsPipeline, climberAscentsPipeline, difficultyScales };
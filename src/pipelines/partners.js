@@ -0,0 +1,49 @@
+// Edges of the climbing partner graph: one document per pair of climbers that
+// share at least one ascent. The pair is ordered (source < target) so every
+// partnership appears once. If climberId is given, only that climber's edges are built.
+const partnerEdgesPipeline = (climberId = null) => [
+  ...(climberId ? [{ $match: { "climbers.climber": climberId } }] : []),
+  {
+    $project: {
+      date: 1,
+      leadClimber: 1,
+      source: "$climbers.climber",
+      target: "$climbers.climber",
+    },
+  },
+  { $unwind: "$source" },
+  { $unwind: "$target" },
+  { $match: { $expr: { $lt: ["$source", "$target"] } } },
+  ...(climberId
+    ? [{ $match: { $or: [{ source: climberId }, { target: climberId }] } }]
+    : []),
+  {
+    $group: {
+      _id: { source: "$source", target: "$target" },
+      sharedAscents: { $sum: 1 },
+      firstDate: { $min: "$date" },
+      lastDate: { $max: "$date" },
+      ledBySource: {
+        $sum: { $cond: [{ $eq: ["$leadClimber", "$source"] }, 1, 0] },
+      },
+      ledByTarget: {
+        $sum: { $cond: [{ $eq: ["$leadClimber", "$target"] }, 1, 0] },
+      },
+    },
+  },
+  {
+    $project: {
+      _id: 0,
+      source: "$_id.source",
+      target: "$_id.target",
+      sharedAscents: 1,
+      firstDate: 1,
+      lastDate: 1,
+      ledBySource: 1,
+      ledByTarget: 1,
+    },
+  },
+  { $sort: { sharedAscents: -1 } },
+];
+
+module.exports = { partnerEdgesPipeline };
@@ -1,3 +1,5 @@
+const { summitPipeline } = require('./summit')
+
 const regionPipeline = [
       {
         $lookup: {
@@ -21,4 +23,18 @@ const regionPipeline = [
         $sort: { name: 1 }
       }
     ]
-module.exports = {regionPipeline}
\ No newline at end of file
+// Single region with all of its summits
+const regionDetailPipeline = [
+      ...regionPipeline,
+      {
+        $lookup: {
+          from: 'summits',
+          localField: '_id',
+          foreignField: 'region',
+          as: 'summits',
+          pipeline: summitPipeline
+        }
+      }
+    ]
+
+module.exports = {regionPipeline, regionDetailPipeline}
\ No newline at end of file
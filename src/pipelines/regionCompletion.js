@@ -0,0 +1,89 @@
+// Summit completion per region: which summits of a region have been stood on,
+// when each was first reached and which are still missing. Without a climberId
+// every non-aborted ascent of the group counts, with a climberId only ascents
+// the climber took part in without aborting.
+const regionCompletionPipeline = (climberId = null) => [
+  {
+    $lookup: {
+      from: "summits",
+      localField: "_id",
+      foreignField: "region",
+      as: "summits",
+      pipeline: [
+        {
+          $lookup: {
+            from: "routes",
+            localField: "_id",
+            foreignField: "summit",
+            as: "routes",
+            pipeline: [{ $project: { _id: 1 } }],
+          },
+        },
+        {
+          $lookup: {
+            from: "ascents",
+            localField: "routes._id",
+            foreignField: "route",
+            as: "firstAscent",
+            pipeline: [
+              {
+                $match: climberId
+                  ? {
+                      isAborted: false,
+                      climbers: {
+                        $elemMatch: { climber: climberId, isAborted: false },
+                      },
+                    }
+                  : { isAborted: false },
+              },
+              { $sort: { date: 1 } },
+              { $limit: 1 },
+              { $project: { date: 1 } },
+            ],
+          },
+        },
+        {
+          $project: {
+            name: 1,
+            firstReached: { $ifNull: [{ $first: "$firstAscent.date" }, null] },
+            firstAscent: { $ifNull: [{ $first: "$firstAscent._id" }, null] },
+          },
+        },
+        { $sort: { name: 1 } },
+      ],
+    },
+  },
+  {
+    $addFields: {
+      climbed: {
+        $sortArray: {
+          input: {
+            $filter: { input: "$summits", cond: { $ne: ["$$this.firstReached", null] } },
+          },
+          sortBy: { firstReached: 1 },
+        },
+      },
+      missing: {
+        $map: {
+          input: {
+            $filter: { input: "$summits", cond: { $eq: ["$$this.firstReached", null] } },
+          },
+          in: { _id: "$$this._id", name: "$$this.name" },
+        },
+      },
+    },
+  },
+  {
+    $project: {
+      name: 1,
+      abbr: 1,
+      summitCount: { $size: "$summits" },
+      climbedCount: { $size: "$climbed" },
+      climbed: 1,
+      missing: 1,
+    },
+  },
+  { $sort: { name: 1 } },
+];
+
+module.exports = { regionCompletionPipeline };
@@ -1,3 +1,5 @@
+const { ascentClimbersPipeline } = require("./ascentClimbers");
+
 const routePipeline = [
   {
     $lookup: {
@@ -72,4 +74,18 @@ const routesBySummitPipeline = [
   },
 ];
 
-module.exports = { routePipeline, routesBySummitPipeline };
+// Single route with its summit, region and all ascents of it
+const routeDetailPipeline = [
+  ...routePipeline,
+  {
+    $lookup: {
+      from: "ascents",
+      localField: "_id",
+      foreignField: "route",
+      as: "ascents",
+      pipeline: [...ascentClimbersPipeline, { $sort: { date: 1 } }],
+    },
+  },
+];
+
+module.exports = { routePipeline, routesBySummitPipeline, routeDetailPipeline };
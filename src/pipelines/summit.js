@@ -1,3 +1,6 @@
+const { routePipeline } = require("./route");
+const { gpsPositionOutput } = require("../utill/gpsPosition");
+
 const summitPipeline = [
   {
     $lookup: {
@@ -22,6 +25,7 @@ const summitPipeline = [
       regionName: "$regionData.name",
       regionAbbr: "$regionData.abbr",
       routeCount: { $size: "$routes" },
+      gpsPosition: gpsPositionOutput,
     },
   },
   {
@@ -35,4 +39,18 @@ const summitPipeline = [
     $sort: { name: 1 },
   },
 ];
-module.exports = { summitPipeline };
+// Single summit with its region and all of its routes
+const summitDetailPipeline = [
+  ...summitPipeline,
+  {
+    $lookup: {
+      from: "routes",
+      localField: "_id",
+      foreignField: "summit",
+      as: "routes",
+      pipeline: routePipeline,
+    },
+  },
+];
+
+module.exports = { summitPipeline, summitDetailPipeline };
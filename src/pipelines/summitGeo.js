@@ -0,0 +1,101 @@
+const { SCALA } = require("../constants");
+const { gpsPositionOutput } = require("../utill/gpsPosition");
+
+// Grade of a route on the SCALA: normal, falling back to RP and withoutSupport
+const gradeIndex = {
+  $indexOfArray: [
+    SCALA,
+    {
+      $ifNull: [
+        "$difficulty.normal",
+        "$difficulty.RP",
+        "$difficulty.withoutSupport",
+      ],
+    },
+  ],
+};
+
+// Summits with a GPS position and the properties shown on the map layer:
+// region, route count, whether the group has climbed it and the grade range of its routes
+const summitGeoPipeline = [
+  { $match: { "gpsPosition.coordinates": { $size: 2 } } },
+  {
+    $lookup: {
+      from: "regions",
+      localField: "region",
+      foreignField: "_id",
+      as: "regionData",
+    },
+  },
+  { $unwind: { path: "$regionData", preserveNullAndEmptyArrays: true } },
+  {
+    $lookup: {
+      from: "routes",
+      localField: "_id",
+      foreignField: "summit",
+      as: "routes",
+      pipeline: [{ $project: { gradeIndex } }],
+    },
+  },
+  {
+    $lookup: {
+      from: "ascents",
+      localField: "routes._id",
+      foreignField: "route",
+      as: "completedAscents",
+      pipeline: [{ $match: { isAborted: false } }, { $limit: 1 }, { $project: { _id: 1 } }],
+    },
+  },
+  {
+    $addFields: {
+      grades: {
+        $filter: { input: "$routes.gradeIndex", cond: { $gte: ["$$this", 0] } },
+      },
+    },
+  },
+  {
+    $project: {
+      _id: 1,
+      name: 1,
+      gpsPosition: gpsPositionOutput,
+      regionID: "$region",
+      regionName: "$regionData.name",
+      regionAbbr: "$regionData.abbr",
+      routeCount: { $size: "$routes" },
+      climbed: { $gt: [{ $size: "$completedAscents" }, 0] },
+      minGrade: {
+        $cond: [{ $gt: [{ $size: "$grades" }, 0] }, { $arrayElemAt: [SCALA, { $min: "$grades" }] }, null],
+      },
+      maxGrade: {
+        $cond: [{ $gt: [{ $size: "$grades" }, 0] }, { $arrayElemAt: [SCALA, { $max: "$grades" }] }, null],
+      },
+    },
+  },
+  { $sort: { name: 1 } },
+];
+
+// Converts the output of summitGeoPipeline into a GeoJSON FeatureCollection
+const toFeatureCollection = (summits) => ({
+  type: "FeatureCollection",
+  features: summits.map((summit) => ({
+    type: "Feature",
+    id: String(summit._id),
+    geometry: {
+      type: "Point",
+      coordinates: [summit.gpsPosition.lng, summit.gpsPosition.lat],
+    },
+    properties: {
+      id: String(summit._id),
+      name: summit.name,
+      regionID: summit.regionID ? String(summit.regionID) : null,
+      regionName: summit.regionName ?? null,
+      regionAbbr: summit.regionAbbr ?? null,
+      routeCount: summit.routeCount,
+      climbed: summit.climbed,
+      minGrade: summit.minGrade,
+      maxGrade: summit.maxGrade,
+    },
+  })),
+});
+
+module.exports = { summitGeoPipeline, toFeatureCollection };
@@ -0,0 +1,147 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Summit = require('../../models/Summit');
+const Route = require('../../models/Route');
+const Ascent = require('../../models/Ascent');
+const adminRoutes = require('../admin');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Stored document with the deleteOne of a mongoose document
+const stored = (fields) => ({ ...fields, deleteOne: jest.fn().mockResolvedValue() });
+
+beforeEach(() => {
+  jest.spyOn(Ascent, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+  jest.spyOn(Ascent, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  jest.spyOn(Route, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+  jest.spyOn(Route, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+});
+
+describe('DELETE /api/admin/routes/:id', () => {
+  let route;
+  let target;
+  let ascentCount;
+
+  beforeEach(() => {
+    route = stored({ _id: id(), name: 'Nordweg' });
+    target = id();
+    ascentCount = 3;
+    jest.spyOn(Route, 'findById').mockImplementation(async (routeId) => (String(routeId) === String(route._id) ? route : null));
+    jest.spyOn(Route, 'exists').mockImplementation(async ({ _id }) => (String(_id) === String(target) ? { _id } : null));
+    jest.spyOn(Ascent, 'countDocuments').mockImplementation(async () => ascentCount);
+  });
+
+  test('answers 404 for an unknown route', async () => {
+    await request(app).delete(`/api/admin/routes/${id()}`).expect(404, { error: 'Route not found.' });
+  });
+
+  test('refuses to delete a route with ascents without cascade or reassignTo', async () => {
+    const res = await request(app).delete(`/api/admin/routes/${route._id}`).expect(409);
+    expect(res.body.error).toBe('Route still has 3 ascents. Use cascade=true or reassignTo=<routeId>.');
+    expect(Ascent.deleteMany).not.toHaveBeenCalled();
+    expect(route.deleteOne).not.toHaveBeenCalled();
+  });
+
+  test('deletes a route without ascents', async () => {
+    ascentCount = 0;
+    await request(app).delete(`/api/admin/routes/${route._id}`).expect(200);
+    expect(route.deleteOne).toHaveBeenCalled();
+  });
+
+  test('cascade deletes the ascents of the route', async () => {
+    await request(app).delete(`/api/admin/routes/${route._id}?cascade=true`).expect(200);
+    expect(Ascent.deleteMany).toHaveBeenCalledWith({ route: route._id });
+    expect(Ascent.updateMany).not.toHaveBeenCalled();
+    expect(route.deleteOne).toHaveBeenCalled();
+  });
+
+  test('reassignTo moves the ascents to another route', async () => {
+    await request(app).delete(`/api/admin/routes/${route._id}?reassignTo=${target}`).expect(200);
+    expect(Ascent.updateMany).toHaveBeenCalledWith({ route: route._id }, { route: String(target) });
+    expect(Ascent.deleteMany).not.toHaveBeenCalled();
+    expect(route.deleteOne).toHaveBeenCalled();
+  });
+
+  test('rejects reassigning to the route itself, to unknown routes and combined options', async () => {
+    await request(app).delete(`/api/admin/routes/${route._id}?reassignTo=${route._id}`).expect(400);
+    await request(app).delete(`/api/admin/routes/${route._id}?reassignTo=nope`).expect(400);
+    await request(app).delete(`/api/admin/routes/${route._id}?reassignTo=${id()}`).expect(404);
+    await request(app).delete(`/api/admin/routes/${route._id}?cascade=true&reassignTo=${target}`).expect(400);
+    expect(Ascent.updateMany).not.toHaveBeenCalled();
+    expect(Ascent.deleteMany).not.toHaveBeenCalled();
+    expect(route.deleteOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('DELETE /api/admin/summits/:id', () => {
+  let summit;
+  let target;
+  let routes;
+  let conflicts;
+  let ascentCount;
+
+  beforeEach(() => {
+    summit = stored({ _id: id(), name: 'Falkenturm' });
+    target = id();
+    routes = [{ _id: id(), name: 'Nordweg' }, { _id: id(), name: 'Südriss' }];
+    conflicts = [];
+    ascentCount = 2;
+    jest.spyOn(Summit, 'findById').mockImplementation(async (summitId) => (String(summitId) === String(summit._id) ? summit : null));
+    jest.spyOn(Summit, 'exists').mockImplementation(async ({ _id }) => (String(_id) === String(target) ? { _id } : null));
+    // the routes of the summit, or with a name filter the conflicting routes of the target summit
+    jest.spyOn(Route, 'find').mockImplementation((filter) =>
+      filter.name ? { distinct: async () => conflicts } : Promise.resolve(routes)
+    );
+    jest.spyOn(Ascent, 'countDocuments').mockImplementation(async () => ascentCount);
+  });
+
+  const routeIds = () => routes.map((route) => route._id);
+
+  test('refuses to delete a summit whose routes have ascents without cascade or reassignTo', async () => {
+    const res = await request(app).delete(`/api/admin/summits/${summit._id}`).expect(409);
+    expect(res.body.error).toBe('Summit still has 2 ascents. Use cascade=true or reassignTo=<summitId>.');
+    expect(Route.deleteMany).not.toHaveBeenCalled();
+    expect(summit.deleteOne).not.toHaveBeenCalled();
+  });
+
+  test('deletes a summit and its routes without ascents', async () => {
+    ascentCount = 0;
+    await request(app).delete(`/api/admin/summits/${summit._id}`).expect(200);
+    expect(Route.deleteMany).toHaveBeenCalledWith({ _id: { $in: routeIds() } });
+    expect(summit.deleteOne).toHaveBeenCalled();
+  });
+
+  test('cascade deletes the routes and their ascents', async () => {
+    await request(app).delete(`/api/admin/summits/${summit._id}?cascade=true`).expect(200);
+    expect(Ascent.deleteMany).toHaveBeenCalledWith({ route: { $in: routeIds() } });
+    expect(Route.deleteMany).toHaveBeenCalledWith({ _id: { $in: routeIds() } });
+    expect(summit.deleteOne).toHaveBeenCalled();
+  });
+
+  test('reassignTo moves the routes to another summit', async () => {
+    await request(app).delete(`/api/admin/summits/${summit._id}?reassignTo=${target}`).expect(200);
+    expect(Route.find).toHaveBeenCalledWith({ summit: String(target), name: { $in: ['Nordweg', 'Südriss'] } });
+    expect(Route.updateMany).toHaveBeenCalledWith({ _id: { $in: routeIds() } }, { summit: String(target) });
+    expect(Route.deleteMany).not.toHaveBeenCalled();
+    expect(Ascent.deleteMany).not.toHaveBeenCalled();
+    expect(summit.deleteOne).toHaveBeenCalled();
+  });
+
+  test('refuses to reassign routes whose names exist on the target summit', async () => {
+    conflicts = ['Nordweg'];
+    const res = await request(app).delete(`/api/admin/summits/${summit._id}?reassignTo=${target}`).expect(409);
+    expect(res.body.conflicts).toEqual(['Nordweg']);
+    expect(Route.updateMany).not.toHaveBeenCalled();
+    expect(summit.deleteOne).not.toHaveBeenCalled();
+  });
+
+  test('answers 404 for an unknown summit to reassign to', async () => {
+    await request(app).delete(`/api/admin/summits/${summit._id}?reassignTo=${id()}`).expect(404);
+    expect(summit.deleteOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../utill/resourcePaths', () => {
+  const dir = require('path').join(require('os').tmpdir(), `map-resources-${process.pid}`);
+  return {
+    mapFontsPath: `${dir}/fonts.tar.gz`,
+    mapSpritePngPath: `${dir}/sprite.png`,
+    mapSpriteJsonPath: `${dir}/sprite.json`,
+    mapSprite2xPngPath: `${dir}/sprite@2x.png`,
+    mapSprite2xJsonPath: `${dir}/sprite@2x.json`,
+    mapStylePath: `${dir}/style.json`,
+    mapTilesPath: `${dir}/tiles.tar.gz`,
+    mapTilesMbtilesPath: `${dir}/tiles.mbtiles`,
+    mapTilesTarPath: `${dir}/tiles.tar`,
+  };
+});
+const paths = require('../../utill/resourcePaths');
+const mapRoutes = require('../mapResources');
+
+const app = express();
+app.use('/api/resources/map', mapRoutes);
+
+const dir = path.dirname(paths.mapStylePath);
+const archive = zlib.gzipSync('fonts archive');
+
+beforeAll(() => {
+  process.env.MAP_BASE_URL = 'https://example.org/api/resources/map';
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(paths.mapStylePath, JSON.stringify({ version: 8, sources: {}, layers: [] }));
+  fs.writeFileSync(paths.mapFontsPath, archive);
+  fs.writeFileSync(paths.mapSpriteJsonPath, JSON.stringify({ icon: { pixelRatio: 1 } }));
+});
+
+afterAll(() => {
+  delete process.env.MAP_BASE_URL;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('GET /api/resources/map/style.json', () => {
+  test('renders the template with validators', async () => {
+    const res = await request(app).get('/api/resources/map/style.json').expect(200);
+    expect(res.body.sprite).toBe('https://example.org/api/resources/map/sprite');
+    expect(res.headers.etag).toBeDefined();
+    expect(res.headers['cache-control']).toBe('private, no-cache');
+  });
+
+  test('answers 304 with the validators of the 200', async () => {
+    const first = await request(app).get('/api/resources/map/style.json?theme=dark').expect(200);
+    const res = await request(app)
+      .get('/api/resources/map/style.json?theme=dark')
+      .set('If-None-Match', first.headers.etag)
+      .expect(304);
+    expect(res.headers.etag).toBe(first.headers.etag);
+    expect(res.headers['last-modified']).toBe(first.headers['last-modified']);
+    expect(res.headers['cache-control']).toBe('private, no-cache');
+  });
+
+  test('has a different version per variant', async () => {
+    const light = await request(app).get('/api/resources/map/style.json').expect(200);
+    const dark = await request(app).get('/api/resources/map/style.json?theme=dark').expect(200);
+    expect(dark.headers.etag).not.toBe(light.headers.etag);
+  });
+
+  test('rejects unknown variants', async () => {
+    const res = await request(app).get('/api/resources/map/style.json?season=autumn').expect(400);
+    expect(res.body.errors[0].type).toBe('INVALID_VARIANT');
+  });
+});
+
+describe('map archives', () => {
+  test('are sent gzip encoded under their original URL', async () => {
+    const res = await request(app).get('/api/resources/map/fonts.tar.gz').buffer(true).expect(200);
+    expect(res.headers['content-encoding']).toBe('gzip');
+    expect(res.headers['accept-ranges']).toBeUndefined();
+  });
+
+  test('are sent as stored with range support under download/', async () => {
+    const res = await request(app)
+      .get('/api/resources/map/download/fonts.tar.gz')
+      .set('Range', 'bytes=0-9')
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on('data', (chunk) => chunks.push(chunk));
+        response.on('end', () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(206);
+    expect(res.headers['content-encoding']).toBeUndefined();
+    expect(res.headers['content-range']).toBe(`bytes 0-9/${archive.length}`);
+    expect(res.body).toEqual(archive.subarray(0, 10));
+  });
+
+  test('answer 404 if the file is missing', async () => {
+    await request(app).get('/api/resources/map/download/tiles.tar.gz').expect(404);
+  });
+});
+
+describe('GET /api/resources/map/sprite@2x.json', () => {
+  afterEach(() => {
+    fs.rmSync(paths.mapSprite2xJsonPath, { force: true });
+    fs.rmSync(paths.mapSprite2xPngPath, { force: true });
+  });
+
+  test('falls back to the 1x sprite', async () => {
+    const res = await request(app).get('/api/resources/map/sprite@2x.json').expect(200);
+    expect(res.body).toEqual({ icon: { pixelRatio: 1 } });
+  });
+
+  test('falls back to the 1x sprite if the @2x sprite is incomplete', async () => {
+    fs.writeFileSync(paths.mapSprite2xJsonPath, JSON.stringify({ icon: { pixelRatio: 2 } }));
+    const res = await request(app).get('/api/resources/map/sprite@2x.json').expect(200);
+    expect(res.body).toEqual({ icon: { pixelRatio: 1 } });
+  });
+
+  test('serves the @2x sprite if it exists', async () => {
+    fs.writeFileSync(paths.mapSprite2xJsonPath, JSON.stringify({ icon: { pixelRatio: 2 } }));
+    fs.writeFileSync(paths.mapSprite2xPngPath, 'png');
+    const res = await request(app).get('/api/resources/map/sprite@2x.json').expect(200);
+    expect(res.body).toEqual({ icon: { pixelRatio: 2 } });
+  });
+});
@@ -1,5 +1,18 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
 const CacheService = require('../services/cacheService');
+const validateObjectId = require('../middleware/validateObjectId');
+const sendWriteError = require('../utill/writeErrors');
+const { checkPasswordStrength } = require('../utill/passwordPolicy');
+const Region = require('../models/Region');
+const Summit = require('../models/Summit');
+const Route = require('../models/Route');
+const Climber = require('../models/Climber');
+const Ascent = require('../models/Ascent');
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const { syncTrips, mergeTrips, splitTrip } = require('../services/tripService');
 
 const router = express.Router();
 
@@ -15,4 +28,392 @@ router.delete('/cache', (req, res) => {
   res.json({ message: 'All cache cleared successfully' });
 });
 
-module.exports = router;
\ No newline at end of file
+// Fields that may be written through the admin API, per model
+const writableFields = {
+  Region: ['name', 'abbr'],
+  Summit: ['name', 'region', 'gpsPosition', 'teufelsturmId'],
+  Route: ['name', 'teufelsturmId', 'teufelsturmScore', 'unsecure', 'stars', 'difficulty', 'summit'],
+  Climber: ['firstName', 'lastName'],
+};
+
+// References that must point to an existing document, per model
+const references = {
+  Summit: { region: Region },
+  Route: { summit: Summit },
+};
+
+const pick = (body, fields) =>
+  Object.fromEntries(fields.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+const findMissingReferences = async (Model, values) => {
+  const errors = [];
+  for (const [field, RefModel] of Object.entries(references[Model.modelName] || {})) {
+    if (values[field] === undefined) continue;
+    if (!mongoose.isObjectIdOrHexString(values[field]) || !(await RefModel.exists({ _id: values[field] }))) {
+      errors.push({ type: 'UNKNOWN_REFERENCE', field, message: `${RefModel.modelName} not found`, value: values[field] });
+    }
+  }
+  return errors;
+};
+
+const createHandler = (Model) => async (req, res) => {
+  try {
+    const values = pick(req.body, writableFields[Model.modelName]);
+    const errors = await findMissingReferences(Model, values);
+    if (errors.length > 0) return res.status(400).json({ errors });
+
+    const doc = await Model.create(values);
+    res.status(201).json({ data: doc });
+  } catch (err) {
+    sendWriteError(res, err);
+  }
+};
+
+const updateHandler = (Model) => async (req, res) => {
+  try {
+    const doc = await Model.findById(req.params.id);
+    if (!doc) return res.status(404).json({ error: `${Model.modelName} not found.` });
+
+    const values = pick(req.body, writableFields[Model.modelName]);
+    const errors = await findMissingReferences(Model, values);
+    if (errors.length > 0) return res.status(400).json({ errors });
+
+    // save() runs the schema validators on the whole document
+    doc.set(values);
+    await doc.save();
+    res.json({ data: doc });
+  } catch (err) {
+    sendWriteError(res, err);
+  }
+};
+
+// Parses ?cascade=true and ?reassignTo=<id> of delete requests
+const parseDeleteOptions = async (req, res, Model) => {
+  const { cascade, reassignTo } = req.query;
+  if (cascade !== undefined && reassignTo !== undefined) {
+    res.status(400).json({ error: 'Use either cascade or reassignTo, not both.' });
+    return null;
+  }
+  if (reassignTo !== undefined) {
+    if (!mongoose.isObjectIdOrHexString(reassignTo) || reassignTo === req.params.id) {
+      res.status(400).json({ error: 'reassignTo must be the id of another document.' });
+      return null;
+    }
+    if (!(await Model.exists({ _id: reassignTo }))) {
+      res.status(404).json({ error: `${Model.modelName} to reassign to not found.` });
+      return null;
+    }
+  }
+  return { cascade: cascade === 'true', reassignTo };
+};
+
+// Region CRUD
+router.post('/regions', createHandler(Region));
+router.patch('/regions/:id', validateObjectId(), updateHandler(Region));
+router.delete('/regions/:id', validateObjectId(), async (req, res) => {
+  try {
+    const region = await Region.findById(req.params.id);
+    if (!region) return res.status(404).json({ error: 'Region not found.' });
+
+    const summitCount = await Summit.countDocuments({ region: region._id });
+    if (summitCount > 0) {
+      return res.status(409).json({ error: `Region still has ${summitCount} summits.` });
+    }
+    await region.deleteOne();
+    res.json({ message: 'Region deleted successfully.' });
+  } catch (err) {
+    sendWriteError(res, err);
+  }
+});
+
+// Summit CRUD
+router.post('/summits', createHandler(Summit));
+router.patch('/summits/:id', validateObjectId(), updateHandler(Summit));
+// DELETE /api/admin/summits/:id[?cascade=true|?reassignTo=<summitId>]
+// cascade deletes the summit's routes and their ascents, reassignTo moves the routes to another summit
+router.delete('/summits/:id', validateObjectId(), async (req, res) => {
+  try {
+    const summit = await Summit.findById(req.params.id);
+    if (!summit) return res.status(404).json({ error: 'Summit not found.' });
+
+    const options = await parseDeleteOptions(req, res, Summit);
+    if (!options) return;
+
+    const routes = await Route.find({ summit: summit._id });
+    const routeIds = routes.map((route) => route._id);
+    const ascentCount = await Ascent.countDocuments({ route: { $in: routeIds } });
+
+    if (options.reassignTo) {
+      const conflicts = await Route.find({
+        summit: options.reassignTo,
+        name: { $in: routes.map((route) => route.name) },
+      }).distinct('name');
+      if (conflicts.length > 0) {
+        return res.status(409).json({ error: 'Target summit already has routes with these names.', conflicts });
+      }
+      await Route.updateMany({ _id: { $in: routeIds } }, { summit: options.reassignTo });
+    } else if (ascentCount > 0 && !options.cascade) {
+      return res.status(409).json({
+        error: `Summit still has ${ascentCount} ascents. Use cascade=true or reassignTo=<summitId>.`,
+      });
+    } else {
+      await Ascent.deleteMany({ route: { $in: routeIds } });
+      await Route.deleteMany({ _id: { $in: routeIds } });
+    }
+
+    await summit.deleteOne();
+    res.json({ message: 'Summit deleted successfully.' });
+  } catch (err) {
+    sendWriteError(res, err);
+  }
+});
+
+// Route CRUD
+router.post('/routes', createHandler(Route));
+router.patch('/routes/:id', validateObjectId(), updateHandler(Route));
+// DELETE /api/admin/routes/:id[?cascade=true|?reassignTo=<routeId>]
+// cascade deletes the route's ascents, reassignTo moves them to another route
+router.delete('/routes/:id', validateObjectId(), async (req, res) => {
+  try {
+    const route = await Route.findById(req.params.id);
+    if (!route) return res.status(404).json({ error: 'Route not found.' });
+
+    const options = await parseDeleteOptions(req, res, Route);
+    if (!options) return;
+
+    const ascentCount = await Ascent.countDocuments({ route: route._id });
+    if (options.reassignTo) {
+      await Ascent.updateMany({ route: route._id }, { route: options.reassignTo });
+    } else if (ascentCount > 0 && !options.cascade) {
+      return res.status(409).json({
+        error: `Route still has ${ascentCount} ascents. Use cascade=true or reassignTo=<routeId>.`,
+      });
+    } else {
+      await Ascent.deleteMany({ route: route._id });
+    }
+
+    await route.deleteOne();
+    res.json({ message: 'Route deleted successfully.' });
+  } catch (err) {
+    sendWriteError(res, err);
+  }
+});
+
+// Climber CRUD
+router.post('/climbers', createHandler(Climber));
+router.patch('/climbers/:id', validateObjectId(), updateHandler(Climber));
+router.delete('/climbers/:id', validateObjectId(), async (req, res) => {
+  try {
+    const climber = await Climber.findById(req.params.id);
+    if (!climber) return res.status(404).json({ error: 'Climber not found.' });
+
+    const ascentCount = await Ascent.countDocuments({ 'climbers.climber': climber._id });
+    if (ascentCount > 0) {
+      return res.status(409).json({ error: `Climber is still part of ${ascentCount} ascents.` });
+    }
+    await climber.deleteOne();
+    res.json({ message: 'Climber deleted successfully.' });
+  } catch (err) {
+    sendWriteError(res, err);
+  }
+});
+
+// POST /api/admin/trips/sync - Add new ascents to the stored trips
+router.post('/trips/sync', async (req, res) => {
+  try {
+    const result = await syncTrips();
+    res.json(result);
+  } catch (err) {
+    sendWriteError(res, err);
+  }
+});
+
+// POST /api/admin/trips/merge - Merge trips into the first one ({ tripIds, name?, description? })
+router.post('/trips/merge', async (req, res) => {
+  try {
+    const { tripIds, name, description } = req.body;
+    if (!Array.isArray(tripIds) || tripIds.length < 2 || !tripIds.every((id) => mongoose.isObjectIdOrHexString(id))) {
+      return res.status(400).json({ error: 'tripIds must be a list of at least two trip ids.' });
+    }
+    if (new Set(tripIds.map(String)).size !== tripIds.length) {
+      return res.status(400).json({ error: 'tripIds must not contain duplicates.' });
+    }
+    const trip = await mergeTrips(tripIds, { name, description });
+    if (!trip) return res.status(404).json({ error: 'Trip not found.' });
+    res.json({ data: trip });
+  } catch (err) {
+    sendWriteError(res, err);
+  }
+});
+
+// POST /api/admin/trips/:id/split - Split a trip before a day ({ day: 'YYYY-MM-DD' })
+router.post('/trips/:id/split', validateObjectId(), async (req, res) => {
+  try {
+    const { day } = req.body;
+    if (typeof day !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+      return res.status(400).json({ error: 'day must be a date in the format YYYY-MM-DD.' });
+    }
+    const result = await splitTrip(req.params.id, day);
+    if (!result) return res.status(404).json({ error: 'Trip not found.' });
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json({ data: result.trips });
+  } catch (err) {
+    sendWriteError(res, err);
+  }
+});
+
+// PATCH /api/admin/trips/:id - Change name, description or participants of a trip.
+// name or participants set to null go back to the automatically computed values.
+router.patch('/trips/:id', validateObjectId(), async (req, res) => {
+  try {
+    const trip = await Trip.findById(req.params.id);
+    if (!trip) return res.status(404).json({ error: 'Trip not found.' });
+
+    const { name, description, participants } = req.body;
+    if (name !== undefined) {
+      if (name !== null && (typeof name !== 'string' || name.trim() === '')) {
+        return res.status(400).json({ error: 'name must be a non-empty string or null.' });
+      }
+      trip.nameEdited = name !== null;
+      if (name !== null) trip.name = name.trim();
+    }
+    if (description !== undefined) {
+      trip.description = description;
+    }
+    if (participants !== undefined) {
+      if (participants !== null) {
+        if (!Array.isArray(participants) || !participants.every((id) => mongoose.isObjectIdOrHexString(id))) {
+          return res.status(400).json({ error: 'participants must be a list of climber ids or null.' });
+        }
+        const found = await Climber.countDocuments({ _id: { $in: participants } });
+        if (found !== new Set(participants.map(String)).size) {
+          return res.status(400).json({ error: 'Some participants were not found.' });
+        }
+        trip.participants = participants;
+      }
+      trip.participantsEdited = participants !== null;
+    }
+    await trip.save();
+
+    // Let the sync fill in the automatic name / participants again where they were reset
+    if (!trip.nameEdited || !trip.participantsEdited) await syncTrips();
+    res.json({ data: await Trip.findById(trip._id) });
+  } catch (err) {
+    sendWriteError(res, err);
+  }
+});
+
+const userRoles = User.schema.path('role').enumValues;
+
+// Whether another enabled admin exists besides the given user
+const hasOtherAdmin = async (user) =>
+  (await User.exists({ _id: { $ne: user._id }, role: 'admin', disabled: { $ne: true } })) !== null;
+
+const LAST_ADMIN_ERROR = 'The last remaining admin cannot be demoted, disabled or deleted.';
+
+// GET /api/admin/users - List all users (without passwords and refresh tokens)
+router.get('/users', async (req, res) => {
+  try {
+    const users = await User.find().sort({ username: 1 });
+    res.json({ data: users });
+  } catch (err) {
+    sendWriteError(res, err);
+  }
+});
+
+// POST /api/admin/users - Create a user ({ username, password, role?, displayName? })
+router.post('/users', async (req, res) => {
+  try {
+    const { username, password, role = 'user' } = req.body;
+    if (typeof username !== 'string' || username.trim() === '') {
+      return res.status(400).json({ error: 'username must be a non-empty string.' });
+    }
+    const passwordErrors = checkPasswordStrength(password, username.trim());
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ errors: passwordErrors });
+    }
+    if (!userRoles.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${userRoles.join(', ')}.` });
+    }
+    const user = await User.create({
+      username: username.trim(),
+      displayName: req.body.displayName,
+      password: await bcrypt.hash(password, 10),
+      role,
+      refreshTokens: [],
+    });
+    res.status(201).json({ data: user });
+  } catch (err) {
+    sendWriteError(res, err);
+  }
+});
+
+// PATCH /api/admin/users/:id - Change role and/or disable a user ({ role?, disabled? }).
+// Disabling revokes all refresh tokens of the user.
+router.patch('/users/:id', validateObjectId(), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found.' });
+
+    const { role, disabled } = req.body;
+    if (role !== undefined && !userRoles.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${userRoles.join(', ')}.` });
+    }
+    if (disabled !== undefined && typeof disabled !== 'boolean') {
+      return res.status(400).json({ error: 'disabled must be a boolean.' });
+    }
+
+    const losesAdmin = user.role === 'admin' && !user.disabled && (role === 'user' || disabled === true);
+    if (losesAdmin && !(await hasOtherAdmin(user))) {
+      return res.status(409).json({ error: LAST_ADMIN_ERROR });
+    }
+
+    if (role !== undefined) user.role = role;
+    if (disabled !== undefined) {
+      user.disabled = disabled;
+      if (disabled) user.refreshTokens = [];
+    }
+    await user.save();
+    res.json({ data: user });
+  } catch (err) {
+    sendWriteError(res, err);
+  }
+});
+
+// POST /api/admin/users/:id/reset-password - Set a new password ({ password }) and revoke all refresh tokens
+router.post('/users/:id/reset-password', validateObjectId(), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found.' });
+
+    const { password } = req.body;
+    const passwordErrors = checkPasswordStrength(password, user.username);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ errors: passwordErrors });
+    }
+    user.password = await bcrypt.hash(password, 10);
+    user.refreshTokens = [];
+    await user.save();
+    res.json({ message: 'Password reset successfully.' });
+  } catch (err) {
+    sendWriteError(res, err);
+  }
+});
+
+// DELETE /api/admin/users/:id - Delete a user
+router.delete('/users/:id', validateObjectId(), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found.' });
+
+    if (user.role === 'admin' && !user.disabled && !(await hasOtherAdmin(user))) {
+      return res.status(409).json({ error: LAST_ADMIN_ERROR });
+    }
+    await user.deleteOne();
+    res.json({ message: 'User deleted successfully.' });
+  } catch (err) {
+    sendWriteError(res, err);
+  }
+});
+
+module.exports = router;
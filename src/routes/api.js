@@ -1,88 +1,449 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Climber = require('../models/Climber');
 const Ascent = require('../models/Ascent');
 const Route = require('../models/Route');
 const Summit = require('../models/Summit');
 const Region = require('../models/Region');
-const {regionPipeline} = require('../pipelines/region')
+const Trip = require('../models/Trip');
+const {regionDetailPipeline} = require('../pipelines/region')
 const {cache } = require('../middleware/cache');
-const { summitPipeline } = require('../pipelines/summit');
+const validateObjectId = require('../middleware/validateObjectId');
+const { summitPipeline, summitDetailPipeline } = require('../pipelines/summit');
+const { summitGeoPipeline, toFeatureCollection } = require('../pipelines/summitGeo');
 const { ascentPipeline } = require('../pipelines/ascent');
-const { climberPipeline } = require('../pipelines/climber');
-const { routePipeline, routesBySummitPipeline } = require('../pipelines/route');
+const { climberDetailPipeline } = require('../pipelines/climber');
+const { climberStatsPipeline } = require('../pipelines/climberStats');
+const { climberGradesPipeline } = require('../pipelines/climberGrades');
+const { partnerEdgesPipeline } = require('../pipelines/partners');
+const { regionCompletionPipeline } = require('../pipelines/regionCompletion');
+const { routePipeline, routeDetailPipeline } = require('../pipelines/route');
 const CacheService = require('../services/cacheService')
 const computeTrips = require('../utill/computeTrips')
+const { parseTripOptions } = computeTrips;
+const { summarizeTrip } = require('../services/tripService');
+const { getChangesSince } = require('../services/changeLogService');
+const { computeResource } = require('../services/resourceService');
+const { getManifest, getBundleFile } = require('../services/bundleService');
+const { search, searchTypes } = require('../services/searchService');
+const { getMapLastModified } = require('../services/mapManifestService');
+const { parseAscentQuery, buildAscentMatch, encodeCursor, ascentQueryParams } = require('../utill/ascentQuery');
+const validateAscent = require('../utill/validateAscent');
+const { parseGeoQuery, geoStages } = require('../utill/geoQuery');
 const router = express.Router();
-const LastChange = require('../models/LastChange');
+const { collectionsOf, getLastModified } = require('../utill/routeDependencies');
 const fs = require('fs');
-const resourcePaths = require('../utill/resourcePaths');
 
 
 // Get all climbers
 router.get('/climbers', cache('/climbers', async (req, res) => {
-    const data = await Climber.aggregate(climberPipeline)
+    const data = await computeResource.climbers()
     return {data: data, date: new Date()};
 }));
 
 // Get all routes
 router.get('/routes', cache('/routes', async (req, res) => {
-    const data = await Route.aggregate(routesBySummitPipeline)
+    const data = await computeResource.routes()
     return {data: data, date: new Date()};
 }));
 
-// Get all summits
-router.get('/summits', cache('/summits', async (req, res) => {
-    const data = await Summit.aggregate(summitPipeline);
+// Get all summits, optionally only those near a point (?near=lng,lat&maxDistance=<meters>,
+// ordered by distance) or within a map viewport (?bbox=west,south,east,north).
+// Geo filtered requests change with every map pan, so they are not cached.
+const geoParams = ['near', 'maxDistance', 'bbox'];
+router.get('/summits', async (req, res, next) => {
+    if (geoParams.every(param => req.query[param] === undefined)) return next();
+    try {
+        const geoQuery = parseGeoQuery(req.query);
+        if (geoQuery.errors) {
+            return res.status(400).json({ errors: geoQuery.errors });
+        }
+        const pipeline = [...geoStages(geoQuery), ...summitPipeline];
+        if (geoQuery.near) pipeline.push({ $sort: { distance: 1 } });
+        const data = await Summit.aggregate(pipeline);
+        res.json({data: data, date: new Date()});
+    } catch (error) {
+        console.log(error)
+        res.status(500).json();
+    }
+}, cache('/summits', async (req, res) => {
+    const data = await computeResource.summits();
     return {data: data, date: new Date()};
 }));
 
+// Get all summits with a GPS position as GeoJSON FeatureCollection for the map
+router.get('/summits.geojson', (req, res, next) => { res.type('application/geo+json'); next(); },
+  cache('/summits.geojson', async (req, res) => {
+    const summits = await Summit.aggregate(summitGeoPipeline);
+    return toFeatureCollection(summits);
+}, ["summits", "regions", "routes", "ascents"]));
+
 // Get all regions
 router.get('/regions', cache('/regions', async (req, res) => {
-    const data = await Region.aggregate(regionPipeline);
+    const data = await computeResource.regions();
     return {data: data, date: new Date()};
 }));
 
-// Get all ascents
+// Get all ascents, optionally filtered and paginated
+// (?climber=&route=&summit=&region=&from=&to=&isTopRope=&isSolo=&isAborted=&isWithoutSupport=&limit=&cursor=)
 router.get('/ascents', cache('/ascents', async (req, res) => {
-    const data = await Ascent.aggregate(ascentPipeline)
+    const query = parseAscentQuery(req.query);
+    if (query.errors) {
+        return res.status(400).json({ errors: query.errors });
+    }
+
+    const match = await buildAscentMatch(query);
+    const pipeline = [{ $match: match }, { $sort: { date: 1, _id: 1 } }];
+    if (query.limit) {
+        // fetch one extra document to know whether another page exists
+        pipeline.push({ $limit: query.limit + 1 });
+    }
+    pipeline.push(...ascentPipeline, { $sort: { date: 1, _id: 1 } });
+
+    const data = await Ascent.aggregate(pipeline)
+    if (!query.limit) {
+        return {data: data, date: new Date()};
+    }
+
+    const hasMore = data.length > query.limit;
+    const page = hasMore ? data.slice(0, query.limit) : data;
+    const nextCursor = hasMore ? encodeCursor(page[page.length - 1]) : null;
+    return {data: page, nextCursor, date: new Date()};
+}, collectionsOf('ascents'), ascentQueryParams));
+
+// Get summit completion per region (?climber=<id> for one climber, otherwise the whole group)
+// Registered before /regions/:id so "completion" is not taken for an id
+router.get('/regions/completion', cache('/regions/completion', async (req, res) => {
+    const { climber } = req.query;
+    if (climber !== undefined && !mongoose.isObjectIdOrHexString(climber)) {
+        return res.status(400).json({ error: 'Invalid climber: must be a valid ObjectId.' });
+    }
+    const climberId = climber ? new mongoose.Types.ObjectId(climber) : null;
+    if (climberId && !(await Climber.exists({ _id: climberId }))) {
+        return res.status(404).json({ error: 'Climber not found.' });
+    }
+
+    const regions = await Region.aggregate(regionCompletionPipeline(climberId));
+    const summitCount = regions.reduce((sum, r) => sum + r.summitCount, 0);
+    const climbedCount = regions.reduce((sum, r) => sum + r.climbedCount, 0);
+    return {data: { summitCount, climbedCount, regions }, date: new Date()};
+}, ["regions", "summits", "routes", "ascents", "climbers"], ['climber']));
+
+// Get the climbing partner graph (?climber=<id> to only include that climber's partnerships)
+router.get('/partners', cache('/partners', async (req, res) => {
+    const { climber } = req.query;
+    if (climber !== undefined && !mongoose.isObjectIdOrHexString(climber)) {
+        return res.status(400).json({ error: 'Invalid climber: must be a valid ObjectId.' });
+    }
+    const climberId = climber ? new mongoose.Types.ObjectId(climber) : null;
+    if (climberId && !(await Climber.exists({ _id: climberId }))) {
+        return res.status(404).json({ error: 'Climber not found.' });
+    }
+
+    const edges = await Ascent.aggregate(partnerEdgesPipeline(climberId));
+
+    // Nodes are all climbers with at least one edge (or the requested climber)
+    const nodeIds = new Set(climberId ? [String(climberId)] : []);
+    edges.forEach(edge => {
+        nodeIds.add(String(edge.source));
+        nodeIds.add(String(edge.target));
+    });
+    const climbers = await Climber.find({ _id: { $in: [...nodeIds] } }).lean();
+    const nodes = climbers.map(c => {
+        const own = edges.filter(e => String(e.source) === String(c._id) || String(e.target) === String(c._id));
+        return {
+            ...c,
+            partnerCount: own.length,
+            sharedAscents: own.reduce((sum, e) => sum + e.sharedAscents, 0),
+        };
+    });
+
+    return {data: { nodes, edges }, date: new Date()};
+}, collectionsOf('partners'), ['climber']));
+
+// Search summits, routes, regions and climbers (?q=<text>&types=summit,route,region,climber&limit=)
+router.get('/search', cache('/search', async (req, res) => {
+    const { q, types, limit } = req.query;
+    if (typeof q !== 'string' || q.trim().length < 2) {
+        return res.status(400).json({ error: 'q must be at least 2 characters long.' });
+    }
+    const typeList = types ? String(types).split(',') : searchTypes;
+    if (!typeList.every(type => searchTypes.includes(type))) {
+        return res.status(400).json({ error: `types must be a comma separated list of ${searchTypes.join(', ')}.` });
+    }
+    const limitNumber = limit === undefined ? 20 : Number(limit);
+    if (!Number.isInteger(limitNumber) || limitNumber < 1 || limitNumber > 100) {
+        return res.status(400).json({ error: 'limit must be an integer between 1 and 100.' });
+    }
+
+    const data = await search(q, { types: typeList, limit: limitNumber });
     return {data: data, date: new Date()};
+}, collectionsOf('search'), ['q', 'types', 'limit']));
+
+// Aggregates a single document by id, null if it does not exist
+const aggregateOne = async (Model, pipeline, id) => {
+    const [doc] = await Model.aggregate([
+        { $match: { _id: new mongoose.Types.ObjectId(id) } },
+        ...pipeline
+    ]);
+    return doc || null;
+};
+
+// Aggregates a single document by id, answering 404 if it does not exist
+const findOne = async (res, Model, pipeline, id) => {
+    const doc = await aggregateOne(Model, pipeline, id);
+    if (!doc) {
+        return res.status(404).json({ error: `${Model.modelName} not found.` });
+    }
+    return {data: doc, date: new Date()};
+};
+
+// Get a single climber with their ascents
+router.get('/climbers/:id', validateObjectId(), cache('/climbers/:id', async (req, res) => {
+    return findOne(res, Climber, climberDetailPipeline, req.params.id);
+}, ["climbers", "ascents", "routes", "summits", "regions"]));
+
+// Get ascent statistics of a climber
+router.get('/climbers/:id/stats', validateObjectId(), cache('/climbers/:id/stats', async (req, res) => {
+    const climberId = new mongoose.Types.ObjectId(req.params.id);
+    if (!(await Climber.exists({ _id: climberId }))) {
+        return res.status(404).json({ error: 'Climber not found.' });
+    }
+    const [stats] = await Ascent.aggregate(climberStatsPipeline(climberId));
+    return {data: stats, date: new Date()};
+}, ["climbers", "ascents", "routes", "summits", "regions"]));
+
+// Get grade pyramid and monthly progression of a climber
+router.get('/climbers/:id/grades', validateObjectId(), cache('/climbers/:id/grades', async (req, res) => {
+    const climberId = new mongoose.Types.ObjectId(req.params.id);
+    if (!(await Climber.exists({ _id: climberId }))) {
+        return res.status(404).json({ error: 'Climber not found.' });
+    }
+    const [grades] = await Ascent.aggregate(climberGradesPipeline(climberId));
+    return {data: grades, date: new Date()};
+}, ["climbers", "ascents", "routes", "summits", "regions"]));
+
+// Get a single route with its summit, region and ascents
+router.get('/routes/:id', validateObjectId(), cache('/routes/:id', async (req, res) => {
+    return findOne(res, Route, routeDetailPipeline, req.params.id);
+}, ["routes", "summits", "regions", "ascents", "climbers"]));
+
+// Get a single summit with its region and routes
+router.get('/summits/:id', validateObjectId(), cache('/summits/:id', async (req, res) => {
+    return findOne(res, Summit, summitDetailPipeline, req.params.id);
+}));
+
+// Get a single region with its summits
+router.get('/regions/:id', validateObjectId(), cache('/regions/:id', async (req, res) => {
+    return findOne(res, Region, regionDetailPipeline, req.params.id);
+}, ["regions", "summits", "routes"]));
+
+// Get a single ascent with its route and climbers
+router.get('/ascents/:id', validateObjectId(), cache('/ascents/:id', async (req, res) => {
+    return findOne(res, Ascent, ascentPipeline, req.params.id);
 }));
 
-// Get trip object
+// Create a new ascent
+router.post('/ascents', async (req, res) => {
+  try {
+    const result = await validateAscent(req.body);
+    if (result.errors) {
+      return res.status(400).json({ errors: result.errors });
+    }
+    const ascent = await Ascent.create(result.ascent);
+    const data = await aggregateOne(Ascent, ascentPipeline, ascent._id);
+    // deleted again in the meantime
+    if (!data) {
+      return res.status(404).json({ error: 'Ascent not found.' });
+    }
+    res.status(201).json({ data });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update an existing ascent (only the given fields change)
+router.patch('/ascents/:id', validateObjectId(), async (req, res) => {
+  try {
+    const ascent = await Ascent.findById(req.params.id);
+    if (!ascent) {
+      return res.status(404).json({ error: 'Ascent not found.' });
+    }
+    const result = await validateAscent(req.body, ascent);
+    if (result.errors) {
+      return res.status(400).json({ errors: result.errors });
+    }
+    Object.assign(ascent, result.ascent);
+    await ascent.save();
+    const data = await aggregateOne(Ascent, ascentPipeline, ascent._id);
+    if (!data) {
+      return res.status(404).json({ error: 'Ascent not found.' });
+    }
+    res.json({ data });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete an ascent
+router.delete('/ascents/:id', validateObjectId(), async (req, res) => {
+  try {
+    const ascent = await Ascent.findByIdAndDelete(req.params.id);
+    if (!ascent) {
+      return res.status(404).json({ error: 'Ascent not found.' });
+    }
+    res.json({ message: 'Ascent deleted successfully.' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get trips. By default the stored trips (see services/tripService.js) are returned.
+// ?gap=&locale= compute trips on the fly with that configuration instead.
+// ?climber=<id> limits the trips and their days to that climber's ascents.
 router.get('/trips', cache('/trips', async (req, res) => {
-      const cacheKey = CacheService.generateCacheKey('/ascents');
-      
-      // Check cache
-      let ascents = CacheService.get(cacheKey);
-      if (!ascents) {
-        ascents = await Ascent.aggregate(ascentPipeline)
+      const { climber } = req.query;
+      if (climber !== undefined && !mongoose.isObjectIdOrHexString(climber)) {
+        return res.status(400).json({ error: 'Invalid climber: must be a valid ObjectId.' });
+      }
+      const tripOptions = parseTripOptions(req.query);
+      if (tripOptions.errors) {
+        return res.status(400).json({ errors: tripOptions.errors });
       }
-      return {data: computeTrips(ascents), date: new Date()}; 
 
+      // Only id and date are needed to detect trips
+      const match = climber ? { 'climbers.climber': climber } : {};
+      if (Object.keys(tripOptions.options).length > 0) {
+        const ascents = await Ascent.find(match, { date: 1 }).lean();
+        return {data: computeTrips(ascents, tripOptions.options), date: new Date()}; 
+      }
+
+      let trips = await computeResource.trips();
+      if (climber) {
+        const climberAscents = new Set((await Ascent.find(match).distinct('_id')).map(String));
+        trips = trips
+          .map(trip => ({
+            ...trip,
+            days: trip.days
+              .map(day => ({ ...day, ascents: day.ascents.filter(id => climberAscents.has(String(id))) }))
+              .filter(day => day.ascents.length > 0),
+          }))
+          .filter(trip => trip.days.length > 0);
+      }
+      return {data: trips, date: new Date()};
+
+}, collectionsOf('trips'), ['climber', 'gap', 'locale']));
+
+// Get the summary of a single trip, by id or by its index in the (date ordered) trip list
+router.get('/trips/:id', cache('/trips/:id', async (req, res) => {
+    const { id } = req.params;
+    let trip = null;
+    if (mongoose.isObjectIdOrHexString(id)) {
+        trip = await Trip.findById(id).lean();
+    } else if (/^\d+$/.test(id)) {
+        trip = await Trip.findOne().sort({ startDate: 1 }).skip(Number(id)).lean();
+    } else {
+        return res.status(400).json({ error: 'Invalid id: must be a valid ObjectId or a trip index.' });
+    }
+    if (!trip) {
+        return res.status(404).json({ error: 'Trip not found.' });
+    }
+    return {data: await summarizeTrip(trip), date: new Date()};
 }));
 
-const routeDependencies = {
-    ascents: ["climbers", "routes", "summits","regions"], 
-    climbers: ["ascents"], 
-    regions: ["summits"], 
-    routes: ["regions","summits"], 
-    summits: ["regions", "routes"], 
-    trips: ["ascents","climbers", "routes", "summits","regions"]
-};
+// Get all changes for offline clients: ?cursor=<cursor of the previous response>, or for the
+// first request ?since=<ISO date or ms timestamp> (e.g. the date of the downloaded bundle).
+// Changes are paged, while hasMore is true the client requests the next page with the returned cursor.
+// Answers 410 if the change log does not reach back that far, the client then has to download everything.
+router.get('/changes', async (req, res) => {
+  const { since, cursor } = req.query;
+  if (cursor !== undefined && !mongoose.isObjectIdOrHexString(cursor)) {
+    return res.status(400).json({ error: 'cursor must be the cursor of a previous response.' });
+  }
+  const sinceDate = new Date(/^\d+$/.test(since || '') ? Number(since) : since);
+  if (cursor === undefined && (!since || isNaN(sinceDate.getTime()))) {
+    return res.status(400).json({ error: 'since must be an ISO date or a timestamp in milliseconds.' });
+  }
 
+  try {
+    const result = cursor !== undefined
+      ? await getChangesSince({ cursor: new mongoose.Types.ObjectId(cursor) })
+      : await getChangesSince({ since: sinceDate });
+    if (!result) {
+      return res.status(410).json({ error: 'Changes are no longer available that far back. Download all resources again.' });
+    }
+    res.json({ data: result.changes, since: cursor !== undefined ? null : sinceDate, date: result.until, cursor: result.cursor, hasMore: result.hasMore });
+  } catch (err) {
+    res.status(500).json({ error: 'Error retrieving changes.' });
+    console.error('Error retrieving changes:', err);
+  }
+});
+
+// Get the manifest of the offline bundle (per-collection versions and the bundle version)
+router.get('/bundle/manifest', async (req, res) => {
+  try {
+    res.json(await getManifest());
+  } catch (err) {
+    res.status(500).json({ error: 'Error retrieving bundle manifest.' });
+    console.error('Error retrieving bundle manifest:', err);
+  }
+});
+
+// Download all resources for offline use as one gzip compressed JSON bundle
+// ({ manifest, data: { climbers, regions, summits, routes, ascents, trips }, date })
+router.get('/bundle', async (req, res) => {
+  try {
+    const manifest = await getManifest();
+    const etag = `"${manifest.version}"`;
+    res.set('ETag', etag);
+    res.set('Cache-Control', 'private, no-cache');
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+
+    const file = await getBundleFile(manifest);
+    // Open the file before reading its size: a build of a newer version may delete it in between,
+    // once opened it stays readable. If it is already gone the client retries and gets the new version.
+    let handle;
+    try {
+      handle = await fs.promises.open(file);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      res.removeHeader('ETag');
+      res.set('Retry-After', '1');
+      return res.status(503).json({ error: 'Offline bundle was replaced by a newer version, try again.' });
+    }
+    let size;
+    try {
+      ({ size } = await handle.stat());
+    } catch (err) {
+      await handle.close();
+      throw err;
+    }
+    res.set('Content-Encoding', 'gzip');
+    res.set('Content-Type', 'application/json');
+    res.set('Content-Length', size);
+    res.set('X-Bundle-Version', manifest.version);
+
+    const fileStream = handle.createReadStream();
+    fileStream.pipe(res);
+    fileStream.on('error', (err) => {
+      console.error('Error reading bundle:', err);
+      res.destroy(err);
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Error creating offline bundle.' });
+    console.error('Error creating offline bundle:', err);
+  }
+});
+
+// Newest modification date of the available map assets (see /map/manifest.json for each asset)
 router.get('/last-modified/map', async (req, res) => {
   try {
-    const files = [
-      resourcePaths.mapFontsPath,
-      resourcePaths.mapSpritePngPath,
-      resourcePaths.mapSpriteJsonPath,
-      resourcePaths.mapStylePath,
-      resourcePaths.mapTilesPath
-    ];
-    const lastModified = files.map(file => {
-      var stats = fs.statSync(file);
-      return new Date(stats.mtime);
-    }).sort((a, b) => b - a)[0]; // Get the most recent modification date
+    const lastModified = await getMapLastModified();
+    if (!lastModified) {
+      return res.status(404).json({ error: 'No map resources found.' });
+    }
     res.json(lastModified);
   } catch (err) {
     res.status(500).json({ error: 'Error retrieving last modification date.' });
@@ -94,25 +455,16 @@ router.get('/last-modified/map', async (req, res) => {
 router.get('/last-modified/:route', async (req, res) => {
   const { route } = req.params;
 
-  const dependencies = routeDependencies[route];
+  const dependencies = collectionsOf(route);
   if (!dependencies) {
     return res.status(400).json({ error: 'Invalid route name.' });
   }
-  dependencies.push(route); // include the route itself
 
   try {
-    const lastModifiedDays = []
-    for (const collection of dependencies) {
-      const record = await LastChange.findOne({ collectionName: collection });
-      if (record && record.lastModified) {
-        lastModifiedDays.push(record.lastModified);
-      }
-    }
-
-    if (lastModifiedDays.length === 0) {
+    const lastModified = await getLastModified(dependencies);
+    if (!lastModified) {
       return res.status(404).json({ error: 'No modification date found for this collection.' });
     }
-    const lastModified = new Date(Math.max(...lastModifiedDays));
     res.json(lastModified)
   } catch (err) {
     res.status(500).json({ error: 'Error retrieving last modification date.' });
@@ -3,6 +3,9 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/User');
+const { authenticate } = require('../middleware/auth');
+const { checkPasswordStrength } = require('../utill/passwordPolicy');
+const sendWriteError = require('../utill/writeErrors');
 const router = express.Router();
 
 // Secrets and expiry times for JWTs (set these in your environment for security)
@@ -33,6 +36,11 @@ function generateRefreshToken(user) {
   );
 }
 
+// User info returned to the client
+function userInfo(user) {
+  return { username: user.username, displayName: user.displayName ?? null, role: user.role, _id: user._id };
+}
+
 // LOGIN: Issues access token and sets refresh token as httpOnly cookie
 router.post('/login', async (req, res) => {
   try {
@@ -52,6 +60,9 @@ router.post('/login', async (req, res) => {
     if (!isMatch) {
       return res.status(401).json({ error: 'Invalid password.' });
     }
+    if (user.disabled) {
+      return res.status(401).json({ error: 'User is disabled.' });
+    }
     // Generate tokens
     const accessToken = generateAccessToken(user);
     const refreshToken = generateRefreshToken(user);
@@ -68,7 +79,7 @@ router.post('/login', async (req, res) => {
     // Return access token and user info
     res.json({
       accessToken,
-      user: { username: user.username, role: user.role, _id: user._id }
+      user: userInfo(user)
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -96,6 +107,9 @@ router.post('/refresh-token', async (req, res) => {
     if (!user || !user.refreshTokens.includes(refreshToken)) {
       return res.status(401).json({ error: 'Invalid refresh token.' });
     }
+    if (user.disabled) {
+      return res.status(401).json({ error: 'User is disabled.' });
+    }
     // Rotate refresh token: remove old, add new
     user.refreshTokens = user.refreshTokens.filter(t => t !== refreshToken);
     const newRefreshToken = generateRefreshToken(user);
@@ -110,7 +124,7 @@ router.post('/refresh-token', async (req, res) => {
     });
     // Issue new access token
     const accessToken = generateAccessToken(user);
-    res.json({ accessToken, user: { username: user.username, role: user.role, _id: user._id } });
+    res.json({ accessToken, user: userInfo(user) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -146,4 +160,60 @@ router.post('/logout', async (req, res) => {
   }
 });
 
+// ME: Returns the logged in user
+router.get('/me', authenticate, (req, res) => {
+  if (process.env.DEBUG_DEACTIVATE_AUTH === 'true') {
+    return res.json({ user: { username: "dummyUsername", displayName: null, role: "admin", _id: "dummyId" } });
+  }
+  res.json({ user: userInfo(req.user) });
+});
+
+// UPDATE ME: Changes the display name of the logged in user ({ displayName }, null to remove it)
+router.patch('/me', authenticate, async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ error: 'No user logged in.' });
+    const { displayName } = req.body;
+    if (displayName !== null && typeof displayName !== 'string') {
+      return res.status(400).json({ error: 'displayName must be a string or null.' });
+    }
+    req.user.displayName = displayName === null || displayName.trim() === '' ? null : displayName;
+    await req.user.save();
+    res.json({ user: userInfo(req.user) });
+  } catch (err) {
+    sendWriteError(res, err);
+  }
+});
+
+// CHANGE PASSWORD: Requires the current password, enforces the password policy and
+// revokes all refresh tokens except the one of this session
+router.post('/change-password', authenticate, async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ error: 'No user logged in.' });
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password are required.' });
+    }
+    const isMatch = await bcrypt.compare(currentPassword, req.user.password);
+    if (!isMatch) {
+      return res.status(401).json({ error: 'Invalid password.' });
+    }
+    const errors = checkPasswordStrength(newPassword, req.user.username);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+    if (await bcrypt.compare(newPassword, req.user.password)) {
+      return res.status(400).json({ error: 'The new password must differ from the current password.' });
+    }
+
+    req.user.password = await bcrypt.hash(newPassword, 10);
+    // Other sessions have to log in again once their access token expires
+    const refreshToken = req.cookies.refreshToken;
+    req.user.refreshTokens = req.user.refreshTokens.filter(t => t === refreshToken);
+    await req.user.save();
+    res.json({ message: 'Password changed successfully.' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -2,70 +2,263 @@ const express = require('express');
 const CacheService = require('../services/cacheService');
 const paths = require('../utill/resourcePaths');
 const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { generateETag, isNotModified } = require('../middleware/cache');
+const { getLastModified } = require('../utill/routeDependencies');
+const { getOverlayTile, overlayDependencies, MAX_ZOOM } = require('../services/overlayTileService');
+const { getTile } = require('../services/tileSourceService');
+const { getGlyphs } = require('../services/glyphService');
+const { getMapManifest } = require('../services/mapManifestService');
+const { parseStyleQuery, renderStyle } = require('../utill/mapStyle');
 
 const router = express.Router();
-//only for development prod routes /api/resources/map/ to nginx
 
-router.get('/fonts.tar.gz', (req, res) => {
+/**
+ * Sends a map file with ETag and Last-Modified (answering conditional requests with 304),
+ * Accept-Ranges and 206 Partial Content for range requests, so interrupted downloads can be
+ * resumed with Range and If-Range. HEAD requests get the headers only.
+ * With contentEncoding the file is declared as encoded (clients decompress it on the fly) and
+ * ranges are disabled, since they would refer to the encoded bytes.
+ */
+const sendMapFile = (filePath, contentType, downloadName, { contentEncoding } = {}) => (req, res) => {
   // Check if file exists
-  if (!fs.existsSync(paths.mapFontsPath)) {
+  if (!fs.existsSync(filePath)) {
     return res.status(404).send('File not found');
   }
+  const headers = { 'Content-Type': contentType, 'Cache-Control': 'private, no-cache' };
+  if (downloadName) {
+    headers['Content-Disposition'] = `attachment; filename="${downloadName}"`;
+  }
+  if (contentEncoding) {
+    headers['Content-Encoding'] = contentEncoding;
+  }
+  const options = { headers, cacheControl: false, acceptRanges: !contentEncoding };
+  res.sendFile(path.resolve(filePath), options, (err) => {
+    if (!err) return;
+    if (!res.headersSent) {
+      res.status(err.status || 500).send(err.status === 416 ? 'Range not satisfiable' : 'Error reading file');
+    } else if (err.code !== 'ECONNABORTED') {
+      console.log(err);
+    }
+  });
+};
+
+router.get('/fonts.tar.gz', sendMapFile(paths.mapFontsPath, 'application/gzip', 'fonts.tar.gz', { contentEncoding: 'gzip' }));
+router.get('/tiles.tar.gz', sendMapFile(paths.mapTilesPath, 'application/gzip', 'tiles.tar.gz', { contentEncoding: 'gzip' }));
+// Archives as stored (no Content-Encoding), so ranges refer to the file bytes and downloads can be resumed
+router.get('/download/fonts.tar.gz', sendMapFile(paths.mapFontsPath, 'application/gzip', 'fonts.tar.gz'));
+router.get('/download/tiles.tar.gz', sendMapFile(paths.mapTilesPath, 'application/gzip', 'tiles.tar.gz'));
+router.get('/sprite.pngFIX', sendMapFile(paths.mapSpritePngPath, 'image/png'));
+// MapLibre requests <sprite>.png for the sprite URL of the templated style
+router.get('/sprite.png', sendMapFile(paths.mapSpritePngPath, 'image/png'));
+router.get('/sprite.json', sendMapFile(paths.mapSpriteJsonPath, 'application/json'));
+
+// MapLibre requests <sprite>@2x.png/.json on high-DPI screens. Without a complete @2x sprite the
+// 1x pair is sent (always both from the same sprite); the pixelRatio in the JSON keeps icon sizes right
+const hasSprite2x = () => fs.existsSync(paths.mapSprite2xPngPath) && fs.existsSync(paths.mapSprite2xJsonPath);
+router.get('/sprite@2x.png', (req, res) =>
+  hasSprite2x()
+    ? sendMapFile(paths.mapSprite2xPngPath, 'image/png')(req, res)
+    : sendMapFile(paths.mapSpritePngPath, 'image/png')(req, res)
+);
+router.get('/sprite@2x.json', (req, res) =>
+  hasSprite2x()
+    ? sendMapFile(paths.mapSprite2xJsonPath, 'application/json')(req, res)
+    : sendMapFile(paths.mapSpriteJsonPath, 'application/json')(req, res)
+);
 
-  const compressedData = fs.readFileSync(paths.mapFontsPath);
-  res.set('Content-Encoding', 'gzip');
-  res.set('Content-Type', 'application/gzip');
-  res.set('Content-Disposition', 'attachment; filename="fonts.tar.gz"');
-  res.send(compressedData);
+// GET /api/resources/map/fonts/:fontstack/:range.pbf - Glyph range of one font or a composite
+// fontstack ('Open Sans Regular,Noto Sans Regular'), read from fonts.tar.gz
+router.get('/fonts/:fontstack/:range.pbf', async (req, res) => {
+  try {
+    const { fontstack, range } = req.params;
+    const match = range.match(/^(\d+)-(\d+)$/);
+    if (!match || Number(match[1]) % 256 !== 0 || Number(match[2]) !== Number(match[1]) + 255 || Number(match[2]) > 65535) {
+      return res.status(400).json({ error: 'Invalid glyph range, must be like 0-255.' });
+    }
+
+    const glyphs = await getGlyphs(fontstack, range);
+    if (!glyphs) {
+      return res.status(404).send('File not found');
+    }
+    if (!glyphs.data) {
+      return res.status(404).json({ error: 'Glyph range not found for this fontstack.' });
+    }
+
+    const etag = generateETag(`/map/fonts/${fontstack}/${range}`, glyphs.lastModified);
+    res.set('ETag', etag);
+    res.set('Last-Modified', glyphs.lastModified.toUTCString());
+    // fonts only change when new map files are deployed
+    res.set('Cache-Control', 'private, max-age=86400');
+    if (isNotModified(req, etag, glyphs.lastModified)) {
+      return res.status(304).end();
+    }
+    res.set('Content-Type', 'application/x-protobuf');
+    res.send(glyphs.data);
+  } catch (err) {
+    console.log(err);
+    res.status(500).json();
+  }
 });
-router.get('/sprite.pngFIX', (req, res) => {
-  // Check if file exists
-  if (!fs.existsSync(paths.mapSpritePngPath)) {
-    return res.status(404).send('File not found');
+
+// URL under which the map routes are reachable for the client: MAP_BASE_URL if set,
+// otherwise derived from the request and the X-Forwarded-* headers of the proxy
+const mapBaseUrl = (req) => {
+  if (process.env.MAP_BASE_URL) return process.env.MAP_BASE_URL.replace(/\/$/, '');
+  const forwarded = (header) => (req.get(header) || '').split(',')[0].trim();
+  const protocol = forwarded('X-Forwarded-Proto') || req.protocol;
+  const host = forwarded('X-Forwarded-Host') || req.get('host');
+  const prefix = forwarded('X-Forwarded-Prefix').replace(/\/$/, '');
+  return `${protocol}://${host}${prefix}${req.baseUrl}`;
+};
+
+// Parsed style template, reread when the file changes
+let styleTemplate = null;
+const loadStyleTemplate = async () => {
+  const stats = await fs.promises.stat(paths.mapStylePath);
+  if (!styleTemplate || styleTemplate.mtimeMs !== stats.mtimeMs) {
+    const style = JSON.parse(await fs.promises.readFile(paths.mapStylePath, 'utf8'));
+    styleTemplate = { mtimeMs: stats.mtimeMs, lastModified: stats.mtime, style };
+  }
+  return styleTemplate;
+};
+
+// GET /api/resources/map/style.json[?season=summer|winter&theme=light|dark&hillshade=true|false]
+// The style template with tile, sprite and glyph URLs of this server and the selected variant applied
+router.get('/style.json', async (req, res) => {
+  try {
+    // Check if file exists
+    if (!fs.existsSync(paths.mapStylePath)) {
+      return res.status(404).send('File not found');
+    }
+    const query = parseStyleQuery(req.query);
+    if (query.errors) {
+      return res.status(400).json({ errors: query.errors });
+    }
+
+    const baseUrl = mapBaseUrl(req);
+    const template = await loadStyleTemplate();
+    const etag = generateETag(`/map/style.json${CacheService.normalizeQuery(query.variants)}:${baseUrl}`, template.lastModified);
+    res.vary('Host');
+    res.vary('X-Forwarded-Host');
+    res.set('ETag', etag);
+    res.set('Last-Modified', template.lastModified.toUTCString());
+    res.set('Cache-Control', 'private, no-cache');
+    if (isNotModified(req, etag, template.lastModified)) {
+      return res.status(304).end();
+    }
+    res.json(renderStyle(template.style, { baseUrl, variants: query.variants }));
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ error: 'Error creating the map style.' });
   }
-  res.set('Content-Type', 'image/png');
-    // Stream the file
-  const fileStream = fs.createReadStream(paths.mapSpritePngPath);
-  fileStream.pipe(res);
-
-  // Optional: handle stream errors
-  fileStream.on('error', (err) => {
-    res.status(500).send('Error reading file');
-  });
 });
-router.get('/sprite.json', (req, res) => {
-  // Check if file exists
-  if (!fs.existsSync(paths.mapSpriteJsonPath)) {
-    return res.status(404).send('File not found');
+
+// GET /api/resources/map/manifest.json - Size, SHA-256, version and mtime of every map asset,
+// so clients only download changed assets and can verify them.
+// Generated by the node server, so in production this route has to be proxied too.
+router.get('/manifest.json', async (req, res) => {
+  try {
+    const manifest = await getMapManifest();
+    res.set('Cache-Control', 'private, no-cache');
+    res.json(manifest);
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ error: 'Error creating the map manifest.' });
   }
-  const spriteJson = fs.readFileSync(paths.mapSpriteJsonPath, 'utf8');
-  res.set('Content-Type', 'application/json');
-  res.send(JSON.parse(spriteJson));
 });
-router.get('/style.json', (req, res) => {
-  // Check if file exists
-  if (!fs.existsSync(paths.mapStylePath)) {
-    return res.status(404).send('File not found');
+
+// Tile coordinates of a request as numbers, null if they are not a valid tile
+const parseTileCoordinates = (params) => {
+  const [z, x, y] = [params.z, params.x, params.y].map(Number);
+  const size = 2 ** z;
+  if (![z, x, y].every(Number.isInteger) || z < 0 || z > MAX_ZOOM || x < 0 || x >= size || y < 0 || y >= size) {
+    return null;
+  }
+  return { z, x, y };
+};
+
+// Sends a (possibly gzip-compressed) vector tile, decompressed for clients that do not accept gzip
+const sendTile = (req, res, data, gzip) => {
+  res.set('Content-Type', 'application/x-protobuf');
+  res.vary('Accept-Encoding');
+  if (!gzip) {
+    return res.send(data);
+  }
+  if (req.acceptsEncodings('gzip')) {
+    res.set('Content-Encoding', 'gzip');
+    return res.send(data);
+  }
+  res.send(zlib.gunzipSync(data));
+};
+
+// GET /api/resources/map/tiles/:z/:x/:y.pbf - Single base map tile, read from the MBTiles file
+// or the indexed tar archive, so online clients do not need to download tiles.tar.gz
+router.get('/tiles/:z/:x/:y.pbf', async (req, res) => {
+  try {
+    const coordinates = parseTileCoordinates(req.params);
+    if (!coordinates) {
+      return res.status(400).json({ error: `Invalid tile coordinates, zoom must be between 0 and ${MAX_ZOOM}.` });
+    }
+    const { z, x, y } = coordinates;
+
+    const tile = await getTile(z, x, y);
+    if (!tile) {
+      return res.status(404).send('File not found');
+    }
+
+    const etag = generateETag(`/map/tiles/${z}/${x}/${y}`, tile.lastModified);
+    res.set('ETag', etag);
+    res.set('Last-Modified', tile.lastModified.toUTCString());
+    // base tiles only change when new map files are deployed
+    res.set('Cache-Control', 'private, max-age=86400');
+    if (isNotModified(req, etag, tile.lastModified)) {
+      return res.status(304).end();
+    }
+
+    // no tile outside the covered area
+    if (!tile.data) {
+      return res.status(204).end();
+    }
+    sendTile(req, res, tile.data, tile.gzip);
+  } catch (err) {
+    console.log(err);
+    res.status(500).json();
   }
-  const styleJson = fs.readFileSync(paths.mapStylePath, 'utf8');
-  res.set('Content-Type', 'application/json');
-  res.send(JSON.parse(styleJson));
 });
-router.get('/tiles.tar.gz', (req, res) => {
-  // Check if file exists
-  if (!fs.existsSync(paths.mapTilesPath)) {
-    return res.status(404).send('File not found');
+
+// GET /api/resources/map/overlay/:z/:x/:y.pbf - Vector tile with the summits layer
+// (route count, climbed, grade range, region) generated from the database.
+// Unlike the static map files this route has to be served by the node server in production too.
+router.get('/overlay/:z/:x/:y.pbf', async (req, res) => {
+  try {
+    const coordinates = parseTileCoordinates(req.params);
+    if (!coordinates) {
+      return res.status(400).json({ error: `Invalid tile coordinates, zoom must be between 0 and ${MAX_ZOOM}.` });
+    }
+    const { z, x, y } = coordinates;
+
+    const lastModified = await getLastModified(overlayDependencies);
+    if (lastModified) {
+      const etag = generateETag(`/map/overlay/${z}/${x}/${y}`, lastModified);
+      res.set('ETag', etag);
+      res.set('Last-Modified', lastModified.toUTCString());
+      res.set('Cache-Control', 'private, no-cache');
+      if (isNotModified(req, etag, lastModified)) {
+        return res.status(304).end();
+      }
+    }
+
+    const tile = await getOverlayTile(z, x, y);
+    if (!tile) {
+      return res.status(204).end();
+    }
+    sendTile(req, res, tile, true);
+  } catch (err) {
+    console.log(err);
+    res.status(500).json();
   }
-  res.set('Content-Encoding', 'gzip');
-  res.set('Content-Type', 'application/gzip');
-  res.set('Content-Disposition', 'attachment; filename="tiles.tar.gz"');
-  // Stream the file
-  const fileStream = fs.createReadStream(paths.mapTilesPath);
-  fileStream.pipe(res);
-
-  // Optional: handle stream errors
-  fileStream.on('error', (err) => {
-    res.status(500).send('Error reading file');
-  });
 });
+
 module.exports = router;
\ No newline at end of file
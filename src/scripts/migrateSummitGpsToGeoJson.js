@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Summit = require('../models/Summit');
+const generateMongoUri = require('../utill/mongoUri');
+
+const mongoUri = generateMongoUri();
+
+// Converts Summit.gpsPosition from { lng, lat } to a GeoJSON point and builds the 2dsphere index
+async function migrateSummitGpsToGeoJson() {
+  try {
+    await mongoose.connect(mongoUri);
+    console.log('Connected to MongoDB');
+
+    const collection = Summit.collection;
+
+    // Positions without both coordinates cannot become a point
+    const removed = await collection.updateMany(
+      {
+        gpsPosition: { $exists: true },
+        'gpsPosition.coordinates': { $exists: false },
+        $or: [{ 'gpsPosition.lng': { $not: { $type: 'number' } } }, { 'gpsPosition.lat': { $not: { $type: 'number' } } }],
+      },
+      { $unset: { gpsPosition: '' } }
+    );
+    console.log(`Removed ${removed.modifiedCount} incomplete GPS positions`);
+
+    const migrated = await collection.updateMany(
+      { 'gpsPosition.lng': { $type: 'number' }, 'gpsPosition.lat': { $type: 'number' } },
+      [
+        {
+          $set: {
+            gpsPosition: {
+              type: 'Point',
+              coordinates: ['$gpsPosition.lng', '$gpsPosition.lat'],
+            },
+          },
+        },
+      ]
+    );
+    console.log(`Migrated ${migrated.modifiedCount} GPS positions to GeoJSON points`);
+
+    await Summit.createIndexes();
+    console.log('Ensured 2dsphere index on gpsPosition');
+
+    process.exit(0);
+  } catch (err) {
+    console.error('Error migrating summit GPS positions:', err);
+    process.exit(1);
+  }
+}
+
+migrateSummitGpsToGeoJson();
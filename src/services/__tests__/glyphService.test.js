@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const Pbf = require('pbf');
+const { buildTar } = require('../../utill/__tests__/helpers/tar');
+
+jest.mock('../../utill/resourcePaths', () => ({
+  mapFontsPath: require('path').join(require('os').tmpdir(), `glyph-service-${process.pid}`, 'fonts.tar.gz'),
+}));
+const paths = require('../../utill/resourcePaths');
+const { getGlyphs } = require('../glyphService');
+
+// Glyph range pbf of a font: glyph ids with their width, so tests can tell which font a glyph came from
+const encodeRange = (name, range, glyphs) => {
+  const pbf = new Pbf();
+  pbf.writeMessage(1, (_, stack) => {
+    stack.writeStringField(1, name);
+    stack.writeStringField(2, range);
+    for (const [id, width] of glyphs) {
+      stack.writeMessage(3, (__, glyph) => {
+        glyph.writeVarintField(1, id);
+        glyph.writeVarintField(3, width);
+      });
+    }
+  });
+  return Buffer.from(pbf.finish());
+};
+
+// { name, range, glyphs: [[id, width], ...] } of a range pbf
+const decodeRange = (data) => {
+  const result = { glyphs: [] };
+  new Pbf(data).readFields((tag, _, pbf) => {
+    if (tag !== 1) return;
+    pbf.readMessage((stackTag, __, stack) => {
+      if (stackTag === 1) result.name = stack.readString();
+      else if (stackTag === 2) result.range = stack.readString();
+      else if (stackTag === 3) {
+        const glyph = stack.readMessage((glyphTag, g, message) => {
+          if (glyphTag === 1) g.id = message.readVarint();
+          else if (glyphTag === 3) g.width = message.readVarint();
+        }, {});
+        result.glyphs.push([glyph.id, glyph.width]);
+      }
+    }, null);
+  }, null);
+  return result;
+};
+
+beforeAll(() => {
+  fs.mkdirSync(path.dirname(paths.mapFontsPath), { recursive: true });
+  const archive = buildTar([
+    { name: 'fonts/Open Sans Regular/0-255.pbf', data: encodeRange('Open Sans Regular', '0-255', [[65, 10], [66, 10]]) },
+    { name: 'fonts/Noto Sans Regular/0-255.pbf', data: encodeRange('Noto Sans Regular', '0-255', [[32, 20], [65, 20], [67, 20]]) },
+    { name: 'fonts/Noto Sans Regular/256-511.pbf', data: encodeRange('Noto Sans Regular', '256-511', [[300, 20]]) },
+  ]);
+  fs.writeFileSync(paths.mapFontsPath, zlib.gzipSync(archive));
+});
+
+afterAll(() => {
+  fs.rmSync(path.dirname(paths.mapFontsPath), { recursive: true, force: true });
+});
+
+describe('getGlyphs', () => {
+  test('returns the range of a single font as stored', async () => {
+    const { data, lastModified } = await getGlyphs('Open Sans Regular', '0-255');
+    expect(decodeRange(data)).toEqual({ name: 'Open Sans Regular', range: '0-255', glyphs: [[65, 10], [66, 10]] });
+    expect(lastModified).toEqual(fs.statSync(paths.mapFontsPath).mtime);
+  });
+
+  test('combines a fontstack, taking each glyph from the first font that has it', async () => {
+    const { data } = await getGlyphs('Open Sans Regular, Noto Sans Regular', '0-255');
+    expect(decodeRange(data)).toEqual({
+      name: 'Open Sans Regular,Noto Sans Regular',
+      range: '0-255',
+      glyphs: [[32, 20], [65, 10], [66, 10], [67, 20]],
+    });
+  });
+
+  test('skips fonts missing in the archive or the range', async () => {
+    const { data } = await getGlyphs('Open Sans Regular,Unknown Font,Noto Sans Regular', '256-511');
+    expect(decodeRange(data).glyphs).toEqual([[300, 20]]);
+  });
+
+  test('returns no data if none of the fonts has the range', async () => {
+    expect((await getGlyphs('Unknown Font', '0-255')).data).toBeNull();
+  });
+
+  test('returns null without a fonts archive', async () => {
+    fs.renameSync(paths.mapFontsPath, `${paths.mapFontsPath}.moved`);
+    try {
+      expect(await getGlyphs('Open Sans Regular', '0-255')).toBeNull();
+    } finally {
+      fs.renameSync(`${paths.mapFontsPath}.moved`, paths.mapFontsPath);
+    }
+  });
+});
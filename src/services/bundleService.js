@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const CacheService = require('./cacheService');
+const { computeResource } = require('./resourceService');
+const { collectionsOf, getLastModified } = require('../utill/routeDependencies');
+const { bundleDir } = require('../utill/resourcePaths');
+
+const gzip = promisify(zlib.gzip);
+
+const bundleCollections = ['climbers', 'regions', 'summits', 'routes', 'ascents', 'trips'];
+const BUNDLE_FORMAT = 1; // bump when the bundle layout changes
+
+// Bundles being built right now, by version, so parallel downloads build only once
+const pendingBuilds = new Map();
+
+/**
+ * Manifest of the offline bundle: per collection the last modification of the
+ * collection and its dependencies, plus a bundle version derived from all of them.
+ */
+const getManifest = async () => {
+  const collections = {};
+  for (const name of bundleCollections) {
+    const lastModified = await getLastModified(collectionsOf(name));
+    collections[name] = {
+      lastModified,
+      version: lastModified ? lastModified.getTime() : null,
+    };
+  }
+  const version = crypto
+    .createHash('sha1')
+    .update(JSON.stringify({ format: BUNDLE_FORMAT, collections }))
+    .digest('hex')
+    .slice(0, 16);
+  return { version, format: BUNDLE_FORMAT, collections };
+};
+
+const bundlePath = (version) => path.join(bundleDir, `bundle-${version}.json.gz`);
+
+// Uses the cached response of the collection endpoint if there is one
+const loadCollection = async (name) => {
+  const cached = CacheService.get(CacheService.generateCacheKey(`/${name}`));
+  if (cached) return cached.data;
+  return computeResource[name]();
+};
+
+const buildBundle = async (manifest) => {
+  const data = {};
+  for (const name of bundleCollections) {
+    data[name] = await loadCollection(name);
+  }
+  const compressed = await gzip(JSON.stringify({ manifest, data, date: new Date() }));
+
+  // Write to a temporary file first so a half written bundle is never served
+  await fs.promises.mkdir(bundleDir, { recursive: true });
+  const target = bundlePath(manifest.version);
+  const tmp = `${target}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, compressed);
+  await fs.promises.rename(tmp, target);
+
+  // Older bundles are outdated now
+  const files = await fs.promises.readdir(bundleDir);
+  await Promise.all(
+    files
+      .filter(file => file.startsWith('bundle-') && file !== path.basename(target) && !file.endsWith('.tmp'))
+      .map(file => fs.promises.unlink(path.join(bundleDir, file)).catch(() => {}))
+  );
+  console.log(`Offline bundle ${manifest.version} written to ${target}`);
+  return target;
+};
+
+/**
+ * Returns the path of the gzip compressed bundle for the manifest's version,
+ * building it if it is not on disk yet.
+ */
+const getBundleFile = async (manifest) => {
+  const target = bundlePath(manifest.version);
+  if (fs.existsSync(target)) return target;
+
+  if (!pendingBuilds.has(manifest.version)) {
+    pendingBuilds.set(
+      manifest.version,
+      buildBundle(manifest).finally(() => pendingBuilds.delete(manifest.version))
+    );
+  }
+  return pendingBuilds.get(manifest.version);
+};
+
+module.exports = { getManifest, getBundleFile, bundleCollections };
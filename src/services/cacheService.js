@@ -1,53 +1,84 @@
 const cache = require('memory-cache');
+const LruCache = require('../utill/lruCache');
 
 const CACHE_PREFIX = process.env.CACHE_PREFIX
 
+// Entries whose keys depend on client input (query parameters, tile coordinates) are kept
+// in a size-bounded cache, so arbitrary requests cannot grow the memory without limit
+const MAX_BOUNDED_ENTRIES = Number(process.env.CACHE_MAX_BOUNDED_ENTRIES) || 500;
+const boundedCache = new LruCache(MAX_BOUNDED_ENTRIES);
+
 class CacheService {
-  static generateCacheKey(endpoint) {
-    return `${CACHE_PREFIX}${endpoint}`;
+  static generateCacheKey(endpoint, query = {}) {
+    return `${CACHE_PREFIX}${endpoint}${CacheService.normalizeQuery(query)}`;
+  }
+
+  // Builds a stable query string (sorted keys, empty values dropped) so that
+  // equivalent requests share one cache entry
+  static normalizeQuery(query) {
+    const params = Object.keys(query)
+      .filter(key => query[key] !== undefined && query[key] !== '')
+      .sort()
+      .map(key => {
+        const value = [].concat(query[key]).map(String).sort().join(',');
+        return `${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
+      });
+    return params.length > 0 ? `?${params.join('&')}` : '';
   }
 
   static get(key) {
-    return cache.get(key);
+    return cache.get(key) ?? boundedCache.get(key);
   }
 
-  static set(key, value) {
-    cache.put(key, value);
+  // Keys with a query string go to the bounded cache, others can be forced there with { bounded: true }
+  static set(key, value, { bounded = key.includes('?') } = {}) {
+    if (bounded) {
+      boundedCache.set(key, value);
+    } else {
+      cache.put(key, value);
+    }
     console.log(`Cache set for key: ${key}`);
   }
 
   static delete(key) {
     cache.del(key);
+    boundedCache.delete(key);
     console.log(`Cache deleted for key: ${key}`);
   }
 
   static invalidateEndpoint(endpoint) {
-    const keys = cache.keys();
-    const collectionKeys = keys.filter(key => 
-      key.startsWith(`${CACHE_PREFIX}${endpoint}`)
-    );
-    
-    collectionKeys.forEach(key => {
+    const prefix = `${CACHE_PREFIX}${endpoint}`;
+    const cacheKeys = cache.keys().filter(key => key.startsWith(prefix));
+    const boundedKeys = boundedCache.keys().filter(key => key.startsWith(prefix));
+
+    cacheKeys.forEach(key => {
       cache.del(key);
     });
-    
-    console.log(`Invalidated ${collectionKeys.length} cache keys for endpoint: ${endpoint}`);
-    return collectionKeys.length;
+    boundedKeys.forEach(key => {
+      boundedCache.delete(key);
+    });
+
+    const count = cacheKeys.length + boundedKeys.length;
+    console.log(`Invalidated ${count} cache keys for endpoint: ${endpoint}`);
+    return count;
   }
 
   static clearAllCache() {
     cache.clear();
+    boundedCache.clear();
     console.log('All cache cleared');
   }
 
   static getStats() {
-    const keys = cache.keys();
+    const keys = [...cache.keys(), ...boundedCache.keys()];
     return {
       totalKeys: keys.length,
+      boundedKeys: boundedCache.keys().length,
+      maxBoundedKeys: MAX_BOUNDED_ENTRIES,
       keys: keys,
       memoryUsage: process.memoryUsage()
     };
   }
 }
 
-module.exports = CacheService;
\ No newline at end of file
+module.exports = CacheService;
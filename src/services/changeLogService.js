@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const ChangeLog = require('../models/ChangeLog');
+const { CHANGE_LOG_RETENTION_DAYS } = ChangeLog;
+const Trip = require('../models/Trip');
+const { collectionsToSync } = require('./changeStreamService');
+const { ascentPipeline } = require('../pipelines/ascent');
+const { climberPipeline } = require('../pipelines/climber');
+const { regionPipeline } = require('../pipelines/region');
+const { routePipeline } = require('../pipelines/route');
+const { summitPipeline } = require('../pipelines/summit');
+
+// Pipelines that bring changed documents into the shape the resource endpoints return,
+// so clients can merge them into the data they downloaded
+const outputPipelines = {
+  ascents: ascentPipeline,
+  climbers: climberPipeline,
+  regions: regionPipeline,
+  routes: routePipeline,
+  summits: summitPipeline,
+  trips: [{ $project: Object.fromEntries(Trip.internalFields.map(field => [field, 0])) }],
+};
+
+// Change log entries per request, clients fetch the next page with the returned cursor while hasMore is true
+const CHANGE_LOG_PAGE_SIZE = 1000;
+
+/**
+ * Collects the changes of all synced collections from the change log, after the entry `cursor`
+ * (the `cursor` of a previous result) or, for the first request, after the date `since`.
+ * Per collection the result holds the current version of inserted and updated
+ * documents, shaped like the output of the resource endpoints, and the ids of deleted ones. `reset` is true if the collection was
+ * dropped in the meantime or changes to it were missed, the client then has to download it completely.
+ * At most CHANGE_LOG_PAGE_SIZE entries are read, `hasMore` tells whether further entries follow.
+ * `until` is the date of the newest included change, `cursor` the position to continue from.
+ * Entries are paged by _id, which increases in the order they are written, so an entry can
+ * never appear behind a cursor already handed out (unlike dates of concurrently handled changes).
+ * Returns null if `since` or `cursor` is older than the change log retention.
+ */
+const getChangesSince = async ({ since = null, cursor = null }) => {
+  const retentionStart = new Date(Date.now() - CHANGE_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  if ((cursor ? cursor.getTimestamp() : since) < retentionStart) return null;
+
+  const filter = cursor ? { _id: { $gt: cursor } } : { date: { $gt: since } };
+  // one entry more than a page, to know if there are further ones
+  const entries = await ChangeLog.find(filter, { resumeToken: 0 }).sort({ _id: 1 }).limit(CHANGE_LOG_PAGE_SIZE + 1).lean();
+  const hasMore = entries.length > CHANGE_LOG_PAGE_SIZE;
+  if (hasMore) entries.pop();
+
+  const changes = {};
+  for (const collectionName of collectionsToSync) {
+    const collectionEntries = entries.filter(e => e.collectionName === collectionName);
+    const reset = collectionEntries.some(e => e.operationType === 'drop' || e.operationType === 'reset');
+
+    // Latest operation per document, remembering whether it was created after `since`
+    const byDocument = new Map();
+    collectionEntries
+      .filter(e => e.documentId)
+      .forEach(e => {
+        const id = String(e.documentId);
+        const previous = byDocument.get(id);
+        byDocument.set(id, {
+          id: e.documentId,
+          inserted: previous ? previous.inserted : e.operationType === 'insert',
+          deleted: e.operationType === 'delete',
+        });
+      });
+
+    const documents = [...byDocument.values()];
+    const changedIds = documents.filter(d => !d.deleted).map(d => d.id);
+    const current = changedIds.length
+      ? await mongoose.connection.db
+        .collection(collectionName)
+        .aggregate([{ $match: { _id: { $in: changedIds } } }, ...(outputPipelines[collectionName] || [])])
+        .toArray()
+      : [];
+    const currentById = new Map(current.map(doc => [String(doc._id), doc]));
+
+    changes[collectionName] = {
+      reset,
+      inserted: documents.filter(d => !d.deleted && d.inserted).map(d => currentById.get(String(d.id))).filter(Boolean),
+      updated: documents.filter(d => !d.deleted && !d.inserted).map(d => currentById.get(String(d.id))).filter(Boolean),
+      deleted: documents.filter(d => d.deleted).map(d => d.id),
+    };
+  }
+
+  let nextCursor = cursor;
+  if (entries.length) {
+    nextCursor = entries[entries.length - 1]._id;
+  } else if (!cursor) {
+    // nothing after `since`: continue after the newest entry there is
+    const newest = await ChangeLog.findOne({}, { _id: 1 }).sort({ _id: -1 }).lean();
+    nextCursor = newest ? newest._id : null;
+  }
+  const until = entries.length ? entries[entries.length - 1].date : since;
+  return { changes, until, cursor: nextCursor, hasMore };
+};
+
+module.exports = { getChangesSince };
@@ -1,38 +1,137 @@
 const mongoose = require('mongoose');
 const CacheService = require('./cacheService');
 const LastChange = require('../models/LastChange');
+const ChangeLog = require('../models/ChangeLog');
+const { syncTrips } = require('./tripService');
 
-const collectionsToTrack = ['ascents', 'climbers', 'regions', 'routes', 'summits', 'users'];
+const collectionsToTrack = ['ascents', 'climbers', 'regions', 'routes', 'summits', 'trips', 'users'];
 
-const setupChangeStreams = () => {
-  const db = mongoose.connection.db;
+// Collections whose document changes are written to the change log for delta sync
+const collectionsToSync = ['ascents', 'climbers', 'regions', 'routes', 'summits', 'trips'];
+const operationsToLog = ['insert', 'update', 'replace', 'delete', 'drop'];
 
-  const changeStream = db.watch();
+// Imports change many ascents at once, so trips are synced once things calm down
+const TRIP_SYNC_DELAY_MS = 5000;
+let tripSyncTimeout = null;
+const scheduleTripSync = () => {
+  clearTimeout(tripSyncTimeout);
+  tripSyncTimeout = setTimeout(() => {
+    syncTrips().catch((error) => console.error('Trip sync error:', error));
+  }, TRIP_SYNC_DELAY_MS);
+};
+
+const handleChange = async (change) => {
+  const collectionName = change.ns.coll;
+  console.log(`Database change detected in collection: ${collectionName}`);
 
-  changeStream.on('change', async (change) => {
-    const collectionName = change.ns.coll;
-    console.log(`Database change detected in collection: ${collectionName}`);
+  if (collectionsToTrack.includes(collectionName)) {
+    // Invalidate cache for the affected collection
+    CacheService.clearAllCache();
 
-    if (collectionsToTrack.includes(collectionName)) {
-      // Invalidate cache for the affected collection
-      CacheService.clearAllCache();
+    // Update the LastChange collection
+    const now = new Date();
+    await LastChange.findOneAndUpdate(
+      { collectionName },
+      { lastModified: now },
+      { upsert: true }
+    );
+    console.log(`Updated last modified date for ${collectionName}: ${now}`);
+
+    if (collectionsToSync.includes(collectionName) && operationsToLog.includes(change.operationType)) {
+      await ChangeLog.create({
+        collectionName,
+        documentId: change.documentKey ? change.documentKey._id : null,
+        operationType: change.operationType,
+        date: change.wallTime || now,
+        resumeToken: change._id,
+      });
+    }
 
-      // Update the LastChange collection
-      const now = new Date();
-      await LastChange.findOneAndUpdate(
-        { collectionName },
-        { lastModified: now },
-        { upsert: true }
-      );
-      console.log(`Updated last modified date for ${collectionName}: ${now}`);
+    if (collectionName === 'ascents') {
+      scheduleTripSync();
     }
+  }
+};
+
+// Errors after which the change stream can't be resumed: ChangeStreamFatalError, InvalidResumeToken,
+// ChangeStreamHistoryLost (the resume point is no longer in the oplog)
+const UNRESUMABLE_ERROR_CODES = [280, 260, 286];
+const RESTART_DELAY_MS = 5000;
+
+// Changes are handled one at a time in the order of the stream, so change log entries are
+// written (and get their increasing _id) in that order, which the delta sync pages by
+let pendingChange = Promise.resolve();
+
+// Where to continue after the newest change log entry: after its resume token, or for entries without
+// one (resets) at the time they were written. An empty log starts with the current changes.
+const getResumeOptions = async () => {
+  const latest = await ChangeLog.findOne({}, { resumeToken: 1, date: 1 }).sort({ _id: -1 }).lean();
+  if (!latest) return {};
+  if (latest.resumeToken) return { resumeAfter: latest.resumeToken };
+  return { startAtOperationTime: new mongoose.mongo.Timestamp({ t: Math.floor(latest.date.getTime() / 1000), i: 0 }) };
+};
+
+// Changes were missed: a reset entry per synced collection makes clients download them again,
+// and the last modified dates are bumped so cached responses are not reused
+const logReset = async () => {
+  const now = new Date();
+  CacheService.clearAllCache();
+  await Promise.all(collectionsToTrack.map((collectionName) =>
+    LastChange.findOneAndUpdate({ collectionName }, { lastModified: now }, { upsert: true })
+  ));
+  await ChangeLog.insertMany(collectionsToSync.map((collectionName) => ({
+    collectionName,
+    operationType: 'reset',
+    date: now,
+  })));
+  console.log('Change stream could not be resumed, logged a reset for all synced collections');
+};
+
+const openChangeStream = async ({ reset = false } = {}) => {
+  if (reset) {
+    await logReset();
+  }
+  const options = reset ? {} : await getResumeOptions();
+  const changeStream = mongoose.connection.db.watch([], options);
+
+  changeStream.on('change', (change) => {
+    pendingChange = pendingChange
+      .then(() => handleChange(change))
+      .catch((error) => console.error('Change handling error:', error));
   });
 
   changeStream.on('error', (error) => {
     console.error('Change stream error:', error);
+    changeStream.close().catch(() => {});
+    restartChangeStream({ reset: UNRESUMABLE_ERROR_CODES.includes(error.code) });
   });
+};
+
+// Opens the stream again once the queued changes are written, so it resumes after the last of them
+const restartChangeStream = ({ reset = false } = {}) => {
+  setTimeout(() => {
+    pendingChange
+      .then(() => openChangeStream({ reset }))
+      .catch((error) => {
+        console.error('Change stream restart error:', error);
+        restartChangeStream({ reset });
+      });
+  }, RESTART_DELAY_MS);
+};
 
-  console.log('Change streams set up for automatic cache invalidation');
+/**
+ * Watches the database, resuming after the newest change log entry so changes made while the
+ * server was down or the stream failed are still handled. If that is no longer possible,
+ * a reset is logged for the synced collections.
+ */
+const setupChangeStreams = async () => {
+  try {
+    await openChangeStream();
+    console.log('Change streams set up for automatic cache invalidation');
+  } catch (error) {
+    console.error('Change stream setup error:', error);
+    restartChangeStream();
+  }
 };
 
-module.exports = { setupChangeStreams };
\ No newline at end of file
+module.exports = { setupChangeStreams, collectionsToSync };
\ No newline at end of file
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const Pbf = require('pbf');
+const paths = require('../utill/resourcePaths');
+const { readTarBuffer } = require('../utill/tarIndex');
+
+const gunzip = promisify(zlib.gunzip);
+
+// Glyph ranges of the fonts archive ({ mtimeMs, lastModified, glyphs: Map('<font>/<range>' -> pbf) }),
+// reloaded when the archive changes
+let current = null;
+
+const loadFonts = async () => {
+  const stats = await fs.promises.stat(paths.mapFontsPath);
+  if (current && current.mtimeMs === stats.mtimeMs) return current.fonts;
+
+  const fonts = (async () => {
+    const entries = await readTarBuffer(await gunzip(await fs.promises.readFile(paths.mapFontsPath)));
+    const glyphs = new Map();
+    for (const [name, data] of entries) {
+      // fonts/{font}/{range}.pbf
+      const match = name.match(/([^/]+)\/(\d+-\d+)\.pbf$/);
+      if (match) glyphs.set(`${match[1]}/${match[2]}`, data);
+    }
+    console.log(`Loaded ${glyphs.size} glyph ranges from ${paths.mapFontsPath}`);
+    return { lastModified: stats.mtime, glyphs };
+  })();
+  // keep the promise, so concurrent requests share one load
+  current = { mtimeMs: stats.mtimeMs, fonts };
+  fonts.catch(() => {
+    if (current && current.fonts === fonts) current = null;
+  });
+  return fonts;
+};
+
+// Glyphs of a range pbf (glyphs { fontstack stacks = 1 }, fontstack { name = 1, range = 2, glyph glyphs = 3 })
+// as Map(glyph id -> encoded glyph message)
+const readGlyphs = (data) => {
+  const glyphs = new Map();
+  new Pbf(data).readFields((tag, _, stacks) => {
+    if (tag !== 1) return;
+    stacks.readMessage((stackTag, __, stack) => {
+      if (stackTag !== 3) return;
+      const glyph = stack.readBytes();
+      let id = null;
+      new Pbf(glyph).readFields((glyphTag, ___, message) => {
+        if (glyphTag === 1) id = message.readVarint();
+      });
+      if (id !== null && !glyphs.has(id)) glyphs.set(id, glyph);
+    }, null);
+  }, null);
+  return glyphs;
+};
+
+// Combines the ranges of several fonts into one, each glyph is taken from the first font that has it
+const combineGlyphs = (name, range, ranges) => {
+  const glyphs = new Map();
+  for (const data of ranges) {
+    for (const [id, glyph] of readGlyphs(data)) {
+      if (!glyphs.has(id)) glyphs.set(id, glyph);
+    }
+  }
+  const pbf = new Pbf();
+  pbf.writeMessage(1, (_, stack) => {
+    stack.writeStringField(1, name);
+    stack.writeStringField(2, range);
+    [...glyphs.keys()].sort((a, b) => a - b).forEach((id) => stack.writeBytesField(3, glyphs.get(id)));
+  });
+  return Buffer.from(pbf.finish());
+};
+
+/**
+ * Glyph range (e.g. '0-255') for a fontstack of one or more comma separated fonts.
+ * Returns null if there is no fonts archive, { data: null } if none of the fonts has
+ * the range, otherwise { data, lastModified }. Fonts missing in the archive are skipped.
+ */
+const getGlyphs = async (fontstack, range) => {
+  if (!fs.existsSync(paths.mapFontsPath)) return null;
+  const { lastModified, glyphs } = await loadFonts();
+
+  const fonts = fontstack.split(',').map((font) => font.trim()).filter(Boolean);
+  const ranges = fonts.map((font) => glyphs.get(`${font}/${range}`)).filter(Boolean);
+  if (ranges.length === 0) return { data: null, lastModified };
+  if (ranges.length === 1) return { data: ranges[0], lastModified };
+  return { data: combineGlyphs(fonts.join(','), range, ranges), lastModified };
+};
+
+module.exports = { getGlyphs };
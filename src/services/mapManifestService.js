@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const paths = require('../utill/resourcePaths');
+
+// Map assets listed in the manifest, served by the map routes under their file name
+const mapAssets = {
+  fonts: paths.mapFontsPath,
+  spriteImage: paths.mapSpritePngPath,
+  spriteJson: paths.mapSpriteJsonPath,
+  style: paths.mapStylePath,
+  tiles: paths.mapTilesPath,
+};
+
+// Assets rendered per request (base URL, variants): their hash is the one of the template on disk,
+// the served file can't be verified against it
+const templatedAssets = new Set(['style']);
+
+// SHA-256 per file, only recomputed when size or mtime change: { size, mtimeMs, hash }
+const hashes = new Map();
+
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+
+const getHash = async (filePath, stats) => {
+  const known = hashes.get(filePath);
+  if (known && known.size === stats.size && known.mtimeMs === stats.mtimeMs) {
+    return known.hash;
+  }
+  // store the promise, so parallel requests hash a file only once
+  const hash = hashFile(filePath);
+  hashes.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, hash });
+  hash.catch(() => hashes.delete(filePath));
+  return hash;
+};
+
+// Manifest entry of one asset, { file, available: false } if the file is missing
+const describeAsset = async (filePath) => {
+  const file = path.basename(filePath);
+  let stats;
+  try {
+    stats = await fs.promises.stat(filePath);
+  } catch (err) {
+    if (err.code === 'ENOENT') return { file, available: false };
+    throw err;
+  }
+  const sha256 = await getHash(filePath, stats);
+  return {
+    file,
+    available: true,
+    size: stats.size,
+    sha256,
+    version: sha256.slice(0, 16),
+    lastModified: stats.mtime,
+  };
+};
+
+/**
+ * Manifest of the map assets: per asset file name, size, SHA-256 hash, a version
+ * derived from the hash and the mtime, plus an overall version and the newest mtime.
+ * Missing assets are listed with available: false, templated assets (style.json) with templated: true.
+ */
+const getMapManifest = async () => {
+  const assets = {};
+  for (const [name, filePath] of Object.entries(mapAssets)) {
+    assets[name] = await describeAsset(filePath);
+    if (templatedAssets.has(name)) assets[name].templated = true;
+  }
+  const available = Object.values(assets).filter((asset) => asset.available);
+  const version = crypto
+    .createHash('sha1')
+    .update(JSON.stringify(Object.entries(assets).map(([name, asset]) => [name, asset.version ?? null])))
+    .digest('hex')
+    .slice(0, 16);
+  const lastModified = available.length
+    ? new Date(Math.max(...available.map((asset) => asset.lastModified)))
+    : null;
+  return { version, lastModified, assets };
+};
+
+// Newest mtime of the available map assets (without hashing them), null if none exists
+const getMapLastModified = async () => {
+  const stats = await Promise.all(
+    Object.values(mapAssets).map((filePath) => fs.promises.stat(filePath).catch(() => null))
+  );
+  const mtimes = stats.filter(Boolean).map((s) => s.mtime);
+  return mtimes.length ? new Date(Math.max(...mtimes)) : null;
+};
+
+module.exports = { getMapManifest, getMapLastModified, mapAssets };
@@ -0,0 +1,53 @@
+const zlib = require('zlib');
+const geojsonvt = require('geojson-vt');
+const vtpbf = require('vt-pbf');
+const Summit = require('../models/Summit');
+const CacheService = require('./cacheService');
+const { summitGeoPipeline, toFeatureCollection } = require('../pipelines/summitGeo');
+
+// Collections whose changes affect the overlay tiles
+const overlayDependencies = ['summits', 'regions', 'routes', 'ascents'];
+
+// Name of the layer in the vector tiles, referenced by the map style
+const SUMMIT_LAYER = 'summits';
+const MAX_ZOOM = 18;
+
+const INDEX_CACHE_KEY = CacheService.generateCacheKey('/map/overlay/index');
+
+// Tile index of all summit features. Kept in the cache, so it is rebuilt after every database change.
+const getIndex = async () => {
+  const cached = CacheService.get(INDEX_CACHE_KEY);
+  if (cached) return cached;
+
+  const summits = await Summit.aggregate(summitGeoPipeline);
+  const index = geojsonvt(toFeatureCollection(summits), {
+    maxZoom: MAX_ZOOM,
+    indexMaxZoom: 5,
+    // points are never simplified, a small buffer keeps labels at tile edges
+    buffer: 64,
+  });
+
+  CacheService.set(INDEX_CACHE_KEY, index);
+  return index;
+};
+
+/**
+ * Gzip-compressed Mapbox Vector Tile with the summit layer for the given tile coordinates,
+ * null if the tile contains no summits. Non-empty tiles are kept in the size-bounded cache
+ * until the next database change, empty ones are cheap to answer from the index.
+ */
+const getOverlayTile = async (z, x, y) => {
+  const tileCacheKey = CacheService.generateCacheKey(`/map/overlay/${z}/${x}/${y}`);
+  const cached = CacheService.get(tileCacheKey);
+  if (cached) return cached;
+
+  const index = await getIndex();
+  const tile = index.getTile(z, x, y);
+  if (!tile) return null;
+
+  const data = zlib.gzipSync(Buffer.from(vtpbf.fromGeojsonVt({ [SUMMIT_LAYER]: tile }, { version: 2 })));
+  CacheService.set(tileCacheKey, data, { bounded: true });
+  return data;
+};
+
+module.exports = { getOverlayTile, overlayDependencies, SUMMIT_LAYER, MAX_ZOOM };
@@ -0,0 +1,24 @@
+const Climber = require('../models/Climber');
+const Ascent = require('../models/Ascent');
+const Route = require('../models/Route');
+const Summit = require('../models/Summit');
+const Region = require('../models/Region');
+const Trip = require('../models/Trip');
+const { climberPipeline } = require('../pipelines/climber');
+const { routesBySummitPipeline } = require('../pipelines/route');
+const { summitPipeline } = require('../pipelines/summit');
+const { regionPipeline } = require('../pipelines/region');
+const { ascentPipeline } = require('../pipelines/ascent');
+
+// Computations behind the unfiltered collection endpoints of /api/resources,
+// shared with the offline bundle
+const computeResource = {
+  climbers: () => Climber.aggregate(climberPipeline),
+  regions: () => Region.aggregate(regionPipeline),
+  summits: () => Summit.aggregate(summitPipeline),
+  routes: () => Route.aggregate(routesBySummitPipeline),
+  ascents: () => Ascent.aggregate(ascentPipeline),
+  trips: () => Trip.find({}, Object.fromEntries(Trip.internalFields.map(field => [field, 0]))).sort({ startDate: 1 }).lean(),
+};
+
+module.exports = { computeResource };
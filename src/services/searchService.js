@@ -0,0 +1,74 @@
+const Climber = require('../models/Climber');
+const Region = require('../models/Region');
+const Summit = require('../models/Summit');
+const Route = require('../models/Route');
+const CacheService = require('./cacheService');
+const { routePipeline } = require('../pipelines/route');
+const { summitPipeline } = require('../pipelines/summit');
+const { prepare, score } = require('../utill/search');
+
+const searchTypes = ['summit', 'route', 'region', 'climber'];
+const INDEX_CACHE_KEY = CacheService.generateCacheKey('/search/index');
+
+// Documents to search, each with the prepared texts it can be found by.
+// Kept in the cache, so it is rebuilt after every database change.
+const getIndex = async () => {
+  const cached = CacheService.get(INDEX_CACHE_KEY);
+  if (cached) return cached;
+
+  const [summits, routes, regions, climbers] = await Promise.all([
+    Summit.aggregate(summitPipeline),
+    Route.aggregate(routePipeline),
+    Region.find().lean(),
+    Climber.find().lean(),
+  ]);
+
+  const index = [
+    ...summits.map(s => ({
+      type: 'summit',
+      texts: [prepare(s.name)],
+      result: { _id: s._id, name: s.name, regionID: s.regionID, regionName: s.regionName, routeCount: s.routeCount },
+    })),
+    ...routes.map(r => ({
+      type: 'route',
+      texts: [prepare(r.name)],
+      result: { _id: r._id, name: r.name, difficulty: r.difficulty, summitID: r.summitID, summitName: r.summitName, regionName: r.regionName },
+    })),
+    ...regions.map(r => ({
+      type: 'region',
+      texts: [prepare(r.name), prepare(r.abbr)],
+      result: { _id: r._id, name: r.name, abbr: r.abbr },
+    })),
+    ...climbers.map(c => ({
+      type: 'climber',
+      texts: [prepare(`${c.firstName || ''} ${c.lastName || ''}`), prepare(c.lastName), prepare(c.firstName)],
+      result: { _id: c._id, firstName: c.firstName, lastName: c.lastName },
+    })),
+  ];
+
+  CacheService.set(INDEX_CACHE_KEY, index);
+  return index;
+};
+
+/**
+ * Searches summits, routes, regions and climbers. Returns typed results
+ * ({ type, score, ...document }) ordered by relevance, then by type and name.
+ */
+const search = async (q, { types = searchTypes, limit = 20 } = {}) => {
+  const query = prepare(q);
+  const index = await getIndex();
+
+  return index
+    .filter(entry => types.includes(entry.type))
+    .map(entry => ({ entry, score: Math.max(...entry.texts.map(text => score(query, text))) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) =>
+      b.score - a.score ||
+      searchTypes.indexOf(a.entry.type) - searchTypes.indexOf(b.entry.type) ||
+      String(a.entry.result.name || a.entry.result.lastName).localeCompare(String(b.entry.result.name || b.entry.result.lastName), 'de')
+    )
+    .slice(0, limit)
+    .map(({ entry, score }) => ({ type: entry.type, score: Math.round(score * 100) / 100, ...entry.result }));
+};
+
+module.exports = { search, searchTypes };
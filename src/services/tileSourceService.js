@@ -0,0 +1,89 @@
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const paths = require('../utill/resourcePaths');
+const { buildTarIndex, readTarEntry } = require('../utill/tarIndex');
+
+// Currently opened source ({ filePath, mtimeMs, source }), reopened when the file is replaced
+let current = null;
+
+const isGzip = (data) => data.length > 1 && data[0] === 0x1f && data[1] === 0x8b;
+
+// MBTiles (SQLite) file, rows are stored in TMS order (y flipped)
+const openMbtiles = (filePath, stats) => {
+  const db = new Database(filePath, { readonly: true, fileMustExist: true });
+  const statement = db.prepare(
+    'SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?'
+  );
+  return {
+    type: 'mbtiles',
+    filePath,
+    stats,
+    getTile: async (z, x, y) => {
+      const row = statement.get(z, x, 2 ** z - 1 - y);
+      return row ? row.tile_data : null;
+    },
+    close: () => db.close(),
+  };
+};
+
+// Uncompressed tar archive of {z}/{x}/{y}.pbf files, as created by mb-util
+const openTar = async (filePath, stats) => {
+  const entries = await buildTarIndex(filePath);
+  const index = new Map();
+  for (const [name, entry] of entries) {
+    const match = name.match(/(\d+)\/(\d+)\/(\d+)\.pbf$/);
+    if (match) index.set(`${match[1]}/${match[2]}/${match[3]}`, entry);
+  }
+  console.log(`Indexed ${index.size} tiles in ${filePath}`);
+  return {
+    type: 'tar',
+    filePath,
+    stats,
+    getTile: async (z, x, y) => {
+      const entry = index.get(`${z}/${x}/${y}`);
+      return entry ? readTarEntry(filePath, entry) : null;
+    },
+    close: () => {},
+  };
+};
+
+/**
+ * The tile source to read single tiles from: the MBTiles file if present,
+ * otherwise the indexed tar archive. null if neither exists.
+ */
+const getTileSource = async () => {
+  const filePath = [paths.mapTilesMbtilesPath, paths.mapTilesTarPath].find((p) => fs.existsSync(p));
+  if (!filePath) return null;
+
+  const stats = await fs.promises.stat(filePath);
+  if (current && current.filePath === filePath && current.mtimeMs === stats.mtimeMs) {
+    return current.source;
+  }
+  if (current) current.source.then((source) => source.close()).catch(() => {});
+  // keep the promise, so concurrent requests share one index build
+  const source = filePath.endsWith('.mbtiles') ? Promise.resolve(openMbtiles(filePath, stats)) : openTar(filePath, stats);
+  current = { filePath, mtimeMs: stats.mtimeMs, source };
+  source.catch(() => {
+    if (current && current.source === source) current = null;
+  });
+  return source;
+};
+
+/**
+ * Reads a single tile. Returns null if there is no tile source,
+ * { data: null } for tiles outside the covered area, otherwise
+ * { data, gzip, lastModified } where gzip tells whether data is gzip-compressed.
+ */
+const getTile = async (z, x, y) => {
+  const source = await getTileSource();
+  if (!source) return null;
+
+  const data = await source.getTile(z, x, y);
+  return {
+    data: data ? Buffer.from(data) : null,
+    gzip: data ? isGzip(data) : false,
+    lastModified: source.stats.mtime,
+  };
+};
+
+module.exports = { getTile };
@@ -0,0 +1,244 @@
+const mongoose = require('mongoose');
+const Trip = require('../models/Trip');
+const Ascent = require('../models/Ascent');
+const Climber = require('../models/Climber');
+const { ascentPipeline } = require('../pipelines/ascent');
+const { SCALA } = require('../constants');
+const computeTrips = require('../utill/computeTrips');
+const { groupAscentsByDay, tripName } = computeTrips;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ascentIdsOf = (trip) => trip.days.flatMap(day => day.ascents.map(String));
+
+// Recomputes days, dates, and (unless edited by an admin) name and participants
+// of a trip from its ascents. ascentsById maps ascent id -> { _id, date, climbers }.
+const applyAscents = (trip, ascentIds, ascentsById) => {
+  const ascents = ascentIds.map(id => ascentsById.get(String(id))).filter(Boolean);
+  const days = groupAscentsByDay(ascents);
+
+  trip.days = days;
+  trip.startDate = ascents.length ? new Date(Math.min(...ascents.map(a => new Date(a.date)))) : null;
+  trip.endDate = ascents.length ? new Date(Math.max(...ascents.map(a => new Date(a.date)))) : null;
+  if (!trip.nameEdited && days.length) {
+    trip.name = tripName(days);
+  }
+  if (!trip.participantsEdited) {
+    const participants = new Set(ascents.flatMap(a => a.climbers.map(c => String(c.climber))));
+    trip.participants = [...participants];
+  }
+  return trip;
+};
+
+const loadAscents = async (filter = {}) => {
+  const ascents = await Ascent.find(filter, { date: 1, climbers: 1 }).lean();
+  return new Map(ascents.map(a => [String(a._id), a]));
+};
+
+// Distance in days between a date and the date range of a trip (0 if inside)
+const distanceToTrip = (trip, date) => {
+  const time = new Date(date).getTime();
+  if (time < trip.startDate.getTime()) return (trip.startDate.getTime() - time) / DAY_MS;
+  if (time > trip.endDate.getTime()) return (time - trip.endDate.getTime()) / DAY_MS;
+  return 0;
+};
+
+// Trip writes run one at a time: overlapping syncs would all see the same unassigned
+// ascents and each create a trip for them. Chained on this promise.
+let pendingWrites = Promise.resolve();
+const runExclusive = (fn) => {
+  const run = pendingWrites.then(fn);
+  // a failed run must not block the following ones
+  pendingWrites = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Brings the stored trips in line with the ascents:
+ * - deleted ascents are removed from their trips, trips without ascents are deleted
+ * - ascents not yet in any trip are grouped like computeTrips does. If that group
+ *   overlaps stored trips, each new ascent joins the nearest of them, otherwise a
+ *   new trip is created.
+ * Ascents already assigned to a trip never move, so renames, merges and splits
+ * done by admins stay as they are.
+ */
+const syncTrips = () => runExclusive(async () => {
+  const ascentsById = await loadAscents();
+  const trips = await Trip.find().sort({ startDate: 1 });
+
+  const tripByAscent = new Map();
+  const tripAscentIds = new Map();
+  for (const trip of trips) {
+    const ids = ascentIdsOf(trip).filter(id => ascentsById.has(id));
+    tripAscentIds.set(trip, ids);
+    ids.forEach(id => tripByAscent.set(id, trip));
+  }
+
+  let created = 0;
+  for (const computed of computeTrips([...ascentsById.values()])) {
+    const ids = computed.days.flatMap(day => day.ascents.map(String));
+    const unassigned = ids.filter(id => !tripByAscent.has(id));
+    if (unassigned.length === 0) continue;
+
+    const overlapping = [...new Set(ids.map(id => tripByAscent.get(id)).filter(Boolean))];
+    if (overlapping.length === 0) {
+      const trip = new Trip();
+      trips.push(trip);
+      tripAscentIds.set(trip, unassigned);
+      created++;
+      continue;
+    }
+    for (const id of unassigned) {
+      const date = ascentsById.get(id).date;
+      const nearest = overlapping.reduce((best, trip) =>
+        distanceToTrip(trip, date) < distanceToTrip(best, date) ? trip : best
+      );
+      tripAscentIds.get(nearest).push(id);
+      tripByAscent.set(id, nearest);
+    }
+  }
+
+  let updated = 0;
+  let deleted = 0;
+  for (const trip of trips) {
+    const ids = tripAscentIds.get(trip);
+    if (ids.length === 0) {
+      await trip.deleteOne();
+      deleted++;
+      continue;
+    }
+    const before = JSON.stringify(trip.isNew ? null : trip.toObject());
+    applyAscents(trip, ids, ascentsById);
+    if (before !== JSON.stringify(trip.toObject())) {
+      if (!trip.isNew) updated++;
+      await trip.save();
+    }
+  }
+
+  console.log(`Trips synced: ${created} created, ${updated} updated, ${deleted} deleted`);
+  return { created, updated, deleted };
+});
+
+// Merges several trips into the first one, the others are deleted (runs exclusively with syncs)
+const mergeTrips = (tripIds, { name, description } = {}) => runExclusive(async () => {
+  const trips = await Trip.find({ _id: { $in: tripIds } });
+  if (trips.length !== tripIds.length) return null;
+
+  const [target, ...others] = tripIds.map(id => trips.find(t => String(t._id) === String(id)));
+  const ids = [target, ...others].flatMap(ascentIdsOf);
+  const ascentsById = await loadAscents({ _id: { $in: ids } });
+
+  if (name !== undefined) {
+    target.name = name;
+    target.nameEdited = true;
+  }
+  if (description !== undefined) {
+    target.description = description;
+  }
+  if (target.participantsEdited) {
+    const participants = new Set([target, ...others].flatMap(t => t.participants.map(String)));
+    target.participants = [...participants];
+  }
+  applyAscents(target, ids, ascentsById);
+
+  await Trip.deleteMany({ _id: { $in: others.map(t => t._id) } });
+  await target.save();
+  return target;
+});
+
+// Splits a trip before the given day (YYYY-MM-DD): that day and all later days form a new trip.
+// Returns null if the trip does not exist, or { error } if the split would leave an empty trip.
+const splitTrip = (tripId, dayString) => runExclusive(async () => {
+  const trip = await Trip.findById(tripId);
+  if (!trip) return null;
+
+  const firstPart = trip.days.filter(day => day.name < dayString);
+  const secondPart = trip.days.filter(day => day.name >= dayString);
+  if (firstPart.length === 0 || secondPart.length === 0) {
+    return { error: 'The split day must be after the first and not after the last day of the trip.' };
+  }
+
+  const ids = ascentIdsOf(trip);
+  const ascentsById = await loadAscents({ _id: { $in: ids } });
+  const newTrip = new Trip({ participantsEdited: false });
+  applyAscents(trip, firstPart.flatMap(day => day.ascents), ascentsById);
+  applyAscents(newTrip, secondPart.flatMap(day => day.ascents), ascentsById);
+
+  await trip.save();
+  await newTrip.save();
+  return { trips: [trip, newTrip] };
+});
+
+// SCALA position of a route's grade (normal, falling back to RP and withoutSupport), -1 if none
+const gradeIndex = (route) => {
+  const difficulty = (route && route.difficulty) || {};
+  return SCALA.indexOf(difficulty.normal ?? difficulty.RP ?? difficulty.withoutSupport);
+};
+
+/**
+ * Resolves a stored trip into a summary: participants, counts, hardest route,
+ * visited regions, routes climbed by the group for the first time on this trip
+ * and a day-by-day breakdown with the resolved ascents.
+ */
+const summarizeTrip = async (trip) => {
+  const ids = ascentIdsOf(trip).map(id => new mongoose.Types.ObjectId(id));
+  const ascents = await Ascent.aggregate([{ $match: { _id: { $in: ids } } }, ...ascentPipeline]);
+  const ascentsById = new Map(ascents.map(a => [String(a._id), a]));
+  const completed = ascents.filter(a => !a.isAborted);
+
+  const participants = await Climber.find({ _id: { $in: trip.participants } }).lean();
+
+  const summitIds = new Set(completed.filter(a => a.route?.summitID).map(a => String(a.route.summitID)));
+
+  const regions = new Map();
+  completed.forEach(a => {
+    if (a.route?.regionID) {
+      regions.set(String(a.route.regionID), { _id: a.route.regionID, name: a.route.regionName, abbr: a.route.regionAbbr });
+    }
+  });
+
+  const hardest = completed
+    .filter(a => gradeIndex(a.route) >= 0)
+    .reduce((best, a) => (!best || gradeIndex(a.route) > gradeIndex(best.route) ? a : best), null);
+
+  // First non-aborted ascent of every route of the trip, over all ascents of the group
+  const routeIds = [...new Set(completed.filter(a => a.route?._id).map(a => String(a.route._id)))];
+  const firstAscentsOfRoutes = await Ascent.aggregate([
+    { $match: { route: { $in: routeIds.map(id => new mongoose.Types.ObjectId(id)) }, isAborted: false } },
+    { $sort: { date: 1 } },
+    { $group: { _id: '$route', first: { $first: '$_id' } } },
+  ]);
+  const firstAscents = firstAscentsOfRoutes
+    .map(r => ascentsById.get(String(r.first)))
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const days = trip.days.map(day => {
+    const dayAscents = day.ascents.map(id => ascentsById.get(String(id))).filter(Boolean);
+    return {
+      name: day.name,
+      ascentCount: dayAscents.length,
+      summitCount: new Set(dayAscents.filter(a => !a.isAborted).map(a => String(a.route?.summitID))).size,
+      ascents: dayAscents,
+    };
+  });
+
+  return {
+    _id: trip._id,
+    name: trip.name,
+    description: trip.description,
+    startDate: trip.startDate,
+    endDate: trip.endDate,
+    participants,
+    ascentCount: ascents.length,
+    summitCount: summitIds.size,
+    regions: [...regions.values()],
+    hardestRoute: hardest
+      ? { route: hardest.route, grade: SCALA[gradeIndex(hardest.route)], ascent: hardest._id, date: hardest.date }
+      : null,
+    firstAscents,
+    days,
+  };
+};
+
+module.exports = { syncTrips, mergeTrips, splitTrip, summarizeTrip };
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Route = require('../../models/Route');
+const Summit = require('../../models/Summit');
+const { parseAscentQuery, buildAscentMatch, encodeCursor } = require('../ascentQuery');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('parseAscentQuery', () => {
+  test('parses ids, style flags and limit', () => {
+    const climber = id();
+    const parsed = parseAscentQuery({ climber: String(climber), isSolo: 'true', isTopRope: 'false', limit: '50' });
+    expect(parsed.climber).toEqual(climber);
+    expect(parsed.isSolo).toBe(true);
+    expect(parsed.isTopRope).toBe(false);
+    expect(parsed.limit).toBe(50);
+    expect(parsed.cursor).toBeNull();
+  });
+
+  test('collects an error per malformed parameter', () => {
+    const { errors } = parseAscentQuery({ route: 'nope', from: 'yesterday', isSolo: 'yes', limit: '0', cursor: 'garbage' });
+    expect(errors.map((error) => error.type)).toEqual([
+      'INVALID_ID',
+      'INVALID_DATE_VALUE',
+      'INVALID_BOOLEAN_FIELD',
+      'INVALID_LIMIT',
+      'INVALID_CURSOR',
+    ]);
+  });
+
+  test('rejects limits above the maximum', () => {
+    expect(parseAscentQuery({ limit: '1001' }).errors[0].type).toBe('INVALID_LIMIT');
+  });
+
+  test('includes the whole day for a date-only upper bound', () => {
+    const parsed = parseAscentQuery({ from: '2024-05-01', to: '2024-05-03' });
+    expect(parsed.from).toEqual(new Date('2024-05-01T00:00:00Z'));
+    expect(parsed.to).toBeUndefined();
+    expect(parsed.before).toEqual(new Date('2024-05-04T00:00:00Z'));
+  });
+
+  test('keeps an upper bound with a time as inclusive bound', () => {
+    const parsed = parseAscentQuery({ to: '2024-05-03T12:00:00Z' });
+    expect(parsed.to).toEqual(new Date('2024-05-03T12:00:00Z'));
+    expect(parsed.before).toBeUndefined();
+  });
+
+  test('decodes the cursor of an ascent', () => {
+    const ascent = { _id: id(), date: new Date('2024-05-01T00:00:00.002Z') };
+    const { cursor } = parseAscentQuery({ cursor: encodeCursor(ascent) });
+    expect(cursor).toEqual({ date: ascent.date, id: ascent._id });
+  });
+
+  test('rejects cursors with an invalid id', () => {
+    const cursor = Buffer.from(JSON.stringify({ date: '2024-05-01', id: 'x' })).toString('base64url');
+    expect(parseAscentQuery({ cursor }).errors[0].type).toBe('INVALID_CURSOR');
+  });
+});
+
+describe('buildAscentMatch', () => {
+  test('matches everything without filters', async () => {
+    expect(await buildAscentMatch(parseAscentQuery({}))).toEqual({});
+  });
+
+  test('bounds the date, a date-only upper bound exclusive at the next day', async () => {
+    const match = await buildAscentMatch(parseAscentQuery({ from: '2024-05-01', to: '2024-05-03' }));
+    expect(match).toEqual({
+      $and: [
+        { date: { $gte: new Date('2024-05-01T00:00:00Z') } },
+        { date: { $lt: new Date('2024-05-04T00:00:00Z') } },
+      ],
+    });
+  });
+
+  test('continues after the cursor, with the id as tie breaker for equal dates', async () => {
+    const ascent = { _id: id(), date: new Date('2024-05-01T00:00:00.002Z') };
+    const match = await buildAscentMatch(parseAscentQuery({ cursor: encodeCursor(ascent) }));
+    expect(match).toEqual({
+      $and: [{ $or: [{ date: { $gt: ascent.date } }, { date: ascent.date, _id: { $gt: ascent._id } }] }],
+    });
+  });
+
+  test('resolves summit and region filters to route ids', async () => {
+    const summitRoutes = [id()];
+    const regionSummits = [id()];
+    const regionRoutes = [id(), id()];
+    jest.spyOn(Route, 'find').mockImplementation((filter) => ({
+      distinct: async () => (filter.summit.$in ? regionRoutes : summitRoutes),
+    }));
+    jest.spyOn(Summit, 'find').mockReturnValue({ distinct: async () => regionSummits });
+
+    const summit = id();
+    const region = id();
+    const match = await buildAscentMatch(parseAscentQuery({ summit: String(summit), region: String(region) }));
+
+    expect(Route.find).toHaveBeenCalledWith({ summit });
+    expect(Summit.find).toHaveBeenCalledWith({ region });
+    expect(Route.find).toHaveBeenCalledWith({ summit: { $in: regionSummits } });
+    expect(match).toEqual({ $and: [{ route: { $in: summitRoutes } }, { route: { $in: regionRoutes } }] });
+  });
+});
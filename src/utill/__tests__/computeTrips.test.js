@@ -0,0 +1,70 @@
+const computeTrips = require('../computeTrips');
+const { parseTripOptions, groupAscentsByDay, tripName } = computeTrips;
+
+// Ascent on a day, numbered within the day like stored ascents
+const ascent = (_id, day, number = 1) => ({ _id, date: new Date(`${day}T00:00:00.00${number}Z`) });
+
+describe('groupAscentsByDay', () => {
+  test('groups by UTC day in date order', () => {
+    const days = groupAscentsByDay([
+      ascent('c', '2024-07-02'),
+      ascent('b', '2024-07-01', 2),
+      ascent('a', '2024-07-01', 1),
+    ]);
+    expect(days).toEqual([
+      { name: '2024-07-01', ascents: ['a', 'b'] },
+      { name: '2024-07-02', ascents: ['c'] },
+    ]);
+  });
+
+  test('keeps the stored day regardless of the server time zone', () => {
+    // 23:30 in UTC is the next day in Europe, still the stored day
+    const days = groupAscentsByDay([{ _id: 'a', date: new Date('2024-07-01T23:30:00Z') }]);
+    expect(days[0].name).toBe('2024-07-01');
+  });
+});
+
+describe('computeTrips', () => {
+  test('splits trips at gaps longer than the configured gap', () => {
+    const ascents = [
+      ascent('a', '2024-07-01'),
+      ascent('b', '2024-07-05'), // 3 off days, same trip
+      ascent('c', '2024-07-10'), // 4 off days, new trip
+    ];
+    expect(computeTrips(ascents).map((trip) => trip.days.map((day) => day.name))).toEqual([
+      ['2024-07-01', '2024-07-05'],
+      ['2024-07-10'],
+    ]);
+    expect(computeTrips(ascents, { gap: 1 })).toHaveLength(3);
+    expect(computeTrips(ascents, { gap: 5 })).toHaveLength(1);
+  });
+
+  test('names trips by their months and year', () => {
+    const [trip] = computeTrips([ascent('a', '2024-07-30'), ascent('b', '2024-08-02')]);
+    expect(trip.name).toBe('Juli/August 2024');
+    expect(computeTrips([ascent('a', '2024-07-30')], { locale: 'en-GB' })[0].name).toBe('July 2024');
+  });
+
+  test('returns no trips without ascents', () => {
+    expect(computeTrips([])).toEqual([]);
+  });
+});
+
+describe('tripName', () => {
+  test('uses the year of the first day', () => {
+    expect(tripName([{ name: '2023-12-30' }, { name: '2024-01-02' }], 'en-GB')).toBe('December/January 2023');
+  });
+});
+
+describe('parseTripOptions', () => {
+  test('parses gap and locale', () => {
+    expect(parseTripOptions({ gap: '7', locale: 'en-GB' })).toEqual({ options: { gap: 7, locale: 'en-GB' } });
+    expect(parseTripOptions({})).toEqual({ options: {} });
+  });
+
+  test('rejects invalid values', () => {
+    const { errors } = parseTripOptions({ gap: '0', locale: 'not a locale!' });
+    expect(errors.map((error) => error.type)).toEqual(['INVALID_GAP', 'INVALID_LOCALE']);
+    expect(parseTripOptions({ gap: '1.5' }).errors[0].type).toBe('INVALID_GAP');
+  });
+});
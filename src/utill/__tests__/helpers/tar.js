@@ -0,0 +1,52 @@
+// Builds uncompressed tar archives in memory for tests
+
+const BLOCK_SIZE = 512;
+
+const pad = (buffer) => Buffer.concat([buffer, Buffer.alloc((BLOCK_SIZE - (buffer.length % BLOCK_SIZE)) % BLOCK_SIZE)]);
+
+// Header block of one entry: type '0' file, '5' directory, 'L' GNU long name, 'x' pax header
+const header = (name, size, { type = '0', prefix = '' } = {}) => {
+  const block = Buffer.alloc(BLOCK_SIZE);
+  block.write(name.slice(0, 100), 0, 'utf8');
+  block.write('0000644\0', 100);
+  block.write(size.toString(8).padStart(11, '0') + '\0', 124);
+  block.write(type, 156);
+  block.write('ustar\0', 257);
+  block.write('00', 263);
+  if (prefix) block.write(prefix, 345);
+  // checksum: sum of the header bytes with the checksum field as spaces
+  block.fill(' ', 148, 156);
+  const checksum = block.reduce((sum, byte) => sum + byte, 0);
+  block.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+  return block;
+};
+
+const entry = (name, data, options) => {
+  const content = Buffer.from(data);
+  return Buffer.concat([header(name, content.length, options), pad(content)]);
+};
+
+// Pax record "<length> path=<value>\n", the length includes itself
+const paxPath = (path) => {
+  const record = ` path=${path}\n`;
+  let length = record.length + 1;
+  while (String(length).length + record.length !== length) length++;
+  return `${length}${record}`;
+};
+
+/**
+ * Archive of the given entries: { name, data } files, or with `longName` / `paxName` written
+ * as GNU long name or pax header, `prefix` as ustar prefix, `directory` for directory entries.
+ */
+const buildTar = (entries) =>
+  Buffer.concat([
+    ...entries.map(({ name, data = '', longName, paxName, prefix, directory }) => {
+      if (directory) return entry(name, '', { type: '5' });
+      if (longName) return Buffer.concat([entry('././@LongLink', `${longName}\0`, { type: 'L' }), entry(name, data)]);
+      if (paxName) return Buffer.concat([entry('PaxHeader', paxPath(paxName), { type: 'x' }), entry(name, data)]);
+      return entry(name, data, { prefix });
+    }),
+    Buffer.alloc(BLOCK_SIZE * 2),
+  ]);
+
+module.exports = { buildTar };
@@ -0,0 +1,71 @@
+const { parseStyleQuery, renderStyle } = require('../mapStyle');
+
+const baseUrl = 'https://example.org/api/resources/map';
+
+const template = () => ({
+  version: 8,
+  sources: {
+    openmaptiles: { type: 'vector', url: 'mbtiles://tiles.mbtiles' },
+    hillshading: { type: 'raster-dem', url: 'https://dem.example.org' },
+  },
+  sprite: 'http://localhost/sprite',
+  glyphs: 'http://localhost/fonts/{fontstack}/{range}.pbf',
+  layers: [
+    { id: 'background', type: 'background', paint: { 'background-color': '#fff' } },
+    { id: 'water', type: 'fill', source: 'openmaptiles', 'source-layer': 'water', paint: { 'fill-color': '#00f', 'fill-opacity': 0.5 } },
+    { id: 'hillshade', type: 'hillshade', source: 'hillshading' },
+  ],
+});
+
+const defaults = parseStyleQuery({}).variants;
+
+describe('parseStyleQuery', () => {
+  test('defaults every option to its first value', () => {
+    expect(defaults).toEqual({ season: 'summer', theme: 'light', hillshade: 'true' });
+  });
+
+  test('rejects unknown values', () => {
+    const { errors } = parseStyleQuery({ theme: 'neon', hillshade: 'no' });
+    expect(errors.map((error) => error.type)).toEqual(['INVALID_VARIANT', 'INVALID_VARIANT']);
+    expect(errors[0].message).toBe('theme must be one of: light, dark');
+  });
+});
+
+describe('renderStyle', () => {
+  test('points tiles, overlay, sprite and glyphs to the base URL', () => {
+    const style = renderStyle(template(), { baseUrl, variants: defaults });
+    expect(style.sources.openmaptiles).toEqual({
+      type: 'vector',
+      tiles: [`${baseUrl}/tiles/{z}/{x}/{y}.pbf`],
+      maxzoom: 14,
+    });
+    expect(style.sources.summits).toEqual({ type: 'vector', tiles: [`${baseUrl}/overlay/{z}/{x}/{y}.pbf`] });
+    expect(style.sprite).toBe(`${baseUrl}/sprite`);
+    expect(style.glyphs).toBe(`${baseUrl}/fonts/{fontstack}/{range}.pbf`);
+    expect(style.metadata['gipfel:variants']).toEqual(defaults);
+  });
+
+  test('leaves the layers unchanged for the default variants', () => {
+    expect(renderStyle(template(), { baseUrl, variants: defaults }).layers).toEqual(template().layers);
+  });
+
+  test('does not modify the template', () => {
+    const original = template();
+    renderStyle(original, { baseUrl, variants: { ...defaults, theme: 'dark', hillshade: 'false' } });
+    expect(original).toEqual(template());
+  });
+
+  test('recolors layers for the dark theme, keeping other paint properties', () => {
+    const style = renderStyle(template(), { baseUrl, variants: { ...defaults, theme: 'dark' } });
+    const layer = (id) => style.layers.find((l) => l.id === id);
+    expect(layer('background').paint['background-color']).toBe('#1d1f21');
+    expect(layer('water').paint).toEqual({ 'fill-color': '#17263a', 'fill-opacity': 0.5 });
+  });
+
+  test('removes hillshade layers and their sources', () => {
+    const style = renderStyle(template(), { baseUrl, variants: { ...defaults, hillshade: 'false' } });
+    expect(style.layers.map((layer) => layer.id)).toEqual(['background', 'water']);
+    expect(style.sources.hillshading).toBeUndefined();
+    expect(style.sources.openmaptiles).toBeDefined();
+  });
+});
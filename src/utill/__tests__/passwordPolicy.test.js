@@ -0,0 +1,40 @@
+const { checkPasswordStrength, MIN_LENGTH } = require('../passwordPolicy');
+
+describe('checkPasswordStrength', () => {
+  test('accepts long passwords with three character classes', () => {
+    expect(checkPasswordStrength('correct-horse7', 'alice')).toEqual([]);
+    expect(checkPasswordStrength('Correct horse battery', 'alice')).toEqual([]);
+  });
+
+  test('rejects short passwords', () => {
+    const errors = checkPasswordStrength('Ab1!'.padEnd(MIN_LENGTH - 1, 'x'), 'alice');
+    expect(errors).toEqual([{ type: 'WEAK_PASSWORD', message: `password must be at least ${MIN_LENGTH} characters long` }]);
+  });
+
+  test('rejects passwords with fewer than three character classes', () => {
+    const errors = checkPasswordStrength('onlylowercase1', 'alice');
+    expect(errors.map((error) => error.type)).toEqual(['WEAK_PASSWORD']);
+    expect(errors[0].message).toMatch(/three of/);
+  });
+
+  test('rejects passwords containing the username, ignoring case', () => {
+    const errors = checkPasswordStrength('My-ALICE-password1', 'alice');
+    expect(errors).toEqual([{ type: 'WEAK_PASSWORD', message: 'password must not contain the username' }]);
+  });
+
+  test('reports every problem at once', () => {
+    expect(checkPasswordStrength('alice', 'alice')).toHaveLength(3);
+  });
+
+  test('rejects missing and non-string passwords', () => {
+    expect(checkPasswordStrength('', 'alice')[0].type).toBe('INVALID_PASSWORD');
+    expect(checkPasswordStrength(12345678901, 'alice')[0].type).toBe('INVALID_PASSWORD');
+  });
+
+  test('never includes the password in the errors', () => {
+    const password = 'secret';
+    for (const error of checkPasswordStrength(password, 'alice')) {
+      expect(JSON.stringify(error)).not.toContain(password);
+    }
+  });
+});
@@ -0,0 +1,54 @@
+const { normalize, prepare, score } = require('../search');
+
+const scoreOf = (query, text) => score(prepare(query), prepare(text));
+
+describe('normalize', () => {
+  test('spells out umlauts and ß and folds accents', () => {
+    expect(normalize('Großer Bärenstein')).toBe('grosser baerenstein');
+    expect(normalize('Café Crème')).toBe('cafe creme');
+  });
+
+  test('reduces punctuation and whitespace to single spaces', () => {
+    expect(normalize('  Falken-Turm  (Nord) ')).toBe('falken turm nord');
+    expect(normalize(null)).toBe('');
+  });
+});
+
+describe('score', () => {
+  test('ranks exact above prefix above word prefix above substring above fuzzy matches', () => {
+    const exact = scoreOf('Falkenturm', 'Falkenturm');
+    const prefix = scoreOf('Falken', 'Falkenturm');
+    const wordPrefix = scoreOf('Turm', 'Großer Turmkopf');
+    const substring = scoreOf('kentu', 'Falkenturm');
+    const fuzzy = scoreOf('Falkentrum', 'Falkenturm Nord');
+    expect(exact).toBe(1);
+    expect(exact).toBeGreaterThan(prefix);
+    expect(prefix).toBeGreaterThan(wordPrefix);
+    expect(wordPrefix).toBeGreaterThan(substring);
+    expect(substring).toBeGreaterThan(fuzzy);
+    expect(fuzzy).toBeGreaterThan(0);
+  });
+
+  test('matches regardless of spaces, hyphens and umlaut spelling', () => {
+    expect(scoreOf('Falken Turm', 'Falken-Turm')).toBe(1);
+    expect(scoreOf('Baerenstein', 'Bärenstein')).toBe(1);
+  });
+
+  test('requires every word of the query to match', () => {
+    expect(scoreOf('Turm Nord', 'Falkenturm Nord')).toBeGreaterThan(0);
+    expect(scoreOf('Turm Sued', 'Falkenturm Nord')).toBe(0);
+  });
+
+  test('tolerates typos depending on the term length', () => {
+    expect(scoreOf('Tor', 'Tur')).toBe(0);
+    expect(scoreOf('Tirm', 'Turm')).toBeGreaterThan(0);
+    expect(scoreOf('Tirn', 'Turm')).toBe(0);
+    expect(scoreOf('Felsenturn', 'Falkenturm')).toBe(0);
+    expect(scoreOf('Falsenturn', 'Falkenturm')).toBeGreaterThan(0);
+  });
+
+  test('does not match empty queries', () => {
+    expect(scoreOf('', 'Falkenturm')).toBe(0);
+    expect(scoreOf('--', 'Falkenturm')).toBe(0);
+  });
+});
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildTarIndex, readTarEntry, readTarBuffer } = require('../tarIndex');
+const { buildTar } = require('./helpers/tar');
+
+const longName = `tiles/${'x'.repeat(120)}/0.pbf`;
+const archive = buildTar([
+  { name: 'tiles/', directory: true },
+  { name: 'tiles/0/0/0.pbf', data: 'root tile' },
+  { name: '1/0.pbf', prefix: 'tiles', data: 'prefixed' },
+  { name: 'truncated-name', longName, data: 'long name' },
+  { name: 'PaxEntry', paxName: 'tiles/pax/1.pbf', data: 'pax' },
+  { name: 'tiles/empty.pbf', data: '' },
+  { name: 'tiles/big.pbf', data: 'b'.repeat(1300) },
+]);
+
+describe('readTarBuffer', () => {
+  test('unpacks files with ustar prefixes, GNU long names and pax paths', async () => {
+    const entries = await readTarBuffer(archive);
+    expect([...entries.keys()]).toEqual([
+      'tiles/0/0/0.pbf',
+      'tiles/1/0.pbf',
+      longName,
+      'tiles/pax/1.pbf',
+      'tiles/empty.pbf',
+      'tiles/big.pbf',
+    ]);
+    expect(entries.get('tiles/0/0/0.pbf').toString()).toBe('root tile');
+    expect(entries.get(longName).toString()).toBe('long name');
+    expect(entries.get('tiles/pax/1.pbf').toString()).toBe('pax');
+    expect(entries.get('tiles/empty.pbf').length).toBe(0);
+    expect(entries.get('tiles/big.pbf').toString()).toBe('b'.repeat(1300));
+  });
+
+  test('skips directories', async () => {
+    const entries = await readTarBuffer(archive);
+    expect(entries.has('tiles/')).toBe(false);
+  });
+
+  test('returns no entries for an empty archive', async () => {
+    expect((await readTarBuffer(buildTar([]))).size).toBe(0);
+  });
+});
+
+describe('buildTarIndex', () => {
+  let file;
+
+  beforeAll(() => {
+    file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tar-index-')), 'tiles.tar');
+    fs.writeFileSync(file, archive);
+  });
+
+  afterAll(() => {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+
+  test('indexes offset and size of the entries without reading them', async () => {
+    const index = await buildTarIndex(file);
+    expect(index.get('tiles/0/0/0.pbf')).toEqual({ offset: 1024, size: 9 });
+    expect(index.get('tiles/big.pbf').size).toBe(1300);
+  });
+
+  test('reads single entries through the index', async () => {
+    const index = await buildTarIndex(file);
+    expect((await readTarEntry(file, index.get('tiles/1/0.pbf'))).toString()).toBe('prefixed');
+    expect((await readTarEntry(file, index.get('tiles/big.pbf'))).toString()).toBe('b'.repeat(1300));
+  });
+});
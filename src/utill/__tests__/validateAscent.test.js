@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const Ascent = require('../../models/Ascent');
+const Climber = require('../../models/Climber');
+const Route = require('../../models/Route');
+const validateAscent = require('../validateAscent');
+
+const id = () => String(new mongoose.Types.ObjectId());
+const alice = id();
+const bob = id();
+const route = id();
+
+// Ascent of the day before, so the default number of the day is 1
+let lastAscentOfDay = null;
+
+beforeEach(() => {
+  lastAscentOfDay = null;
+  jest.spyOn(Climber, 'find').mockReturnValue({ distinct: async () => [alice, bob] });
+  jest.spyOn(Route, 'exists').mockImplementation(async ({ _id }) => (_id === route ? { _id } : null));
+  jest.spyOn(Ascent, 'findOne').mockReturnValue({ sort: async () => lastAscentOfDay });
+  jest.spyOn(Ascent, 'exists').mockResolvedValue(null);
+});
+
+const errorTypes = (result) => (result.errors || []).map((error) => error.type);
+
+describe('validateAscent', () => {
+  test('accepts a valid ascent and numbers it within its day', async () => {
+    const { ascent, errors } = await validateAscent({ climbers: [alice, bob], route, date: '2024-05-01', notes: ' nice ' });
+    expect(errors).toBeUndefined();
+    expect(ascent.climbers).toEqual([
+      { climber: alice, isAborted: false },
+      { climber: bob, isAborted: false },
+    ]);
+    expect(ascent.route).toBe(route);
+    expect(ascent.date).toEqual(new Date('2024-05-01T00:00:00.001Z'));
+    expect(ascent.notes).toBe('nice');
+  });
+
+  test('appends after the last ascent of the day', async () => {
+    lastAscentOfDay = { date: new Date('2024-05-01T00:00:00.004Z') };
+    const { ascent } = await validateAscent({ climbers: [alice], route, date: '2024-05-01T15:30:00Z' });
+    expect(ascent.date).toEqual(new Date('2024-05-01T00:00:00.005Z'));
+  });
+
+  test('moves the lead climber to the front', async () => {
+    const { ascent } = await validateAscent({ climbers: [alice, { climber: bob, isAborted: true }], route, date: '2024-05-01', leadClimber: bob });
+    expect(ascent.leadClimber).toBe(bob);
+    expect(ascent.climbers.map((c) => c.climber)).toEqual([bob, alice]);
+    expect(ascent.climbers[0].isAborted).toBe(true);
+  });
+
+  test('rejects unknown fields, climbers and routes', async () => {
+    const result = await validateAscent({ climbers: [id()], route: id(), date: '2024-05-01', grade: 'VII' });
+    expect(errorTypes(result)).toEqual(['UNKNOWN_FIELD', 'UNKNOWN_CLIMBER', 'UNKNOWN_ROUTE']);
+  });
+
+  test('rejects malformed values', async () => {
+    const result = await validateAscent({ climbers: 'alice', route: 'x', date: 'someday', isSolo: 'yes' });
+    expect(errorTypes(result)).toEqual(['INVALID_CLIMBERS_FORMAT', 'INVALID_ROUTE', 'INVALID_DATE_VALUE', 'INVALID_BOOLEAN_FIELD']);
+  });
+
+  test('rejects duplicate climbers and a lead climber who is not climbing', async () => {
+    const result = await validateAscent({ climbers: [alice, alice], route, date: '2024-05-01', leadClimber: bob });
+    expect(errorTypes(result)).toEqual(['DUPLICATE_CLIMBER', 'LEAD_CLIMBER_NOT_IN_ARRAY']);
+  });
+
+  test('rejects more than one climbing style', async () => {
+    const result = await validateAscent({ climbers: [alice], route, date: '2024-05-01', leadClimber: alice, isSolo: true });
+    expect(errorTypes(result)).toEqual(['MULTIPLE_CLIMBING_STYLES']);
+  });
+
+  test('rejects numbers out of range or already taken on that day', async () => {
+    expect(errorTypes(await validateAscent({ climbers: [alice], route, date: '2024-05-01', number: 1000 }))).toEqual(['INVALID_DATE_NUMBER']);
+
+    Ascent.exists.mockResolvedValue({ _id: id() });
+    expect(errorTypes(await validateAscent({ climbers: [alice], route, date: '2024-05-01', number: 2 }))).toEqual(['DUPLICATE_DATE']);
+  });
+
+  test('rejects a full day', async () => {
+    lastAscentOfDay = { date: new Date('2024-05-01T00:00:00.999Z') };
+    const result = await validateAscent({ climbers: [alice], route, date: '2024-05-01' });
+    expect(errorTypes(result)).toEqual(['INVALID_DATE_NUMBER']);
+  });
+
+  test('rejects input that is not an object', async () => {
+    expect(errorTypes(await validateAscent([]))).toEqual(['INVALID_ASCENT_OBJECT']);
+  });
+
+  describe('updates', () => {
+    const existing = {
+      _id: id(),
+      climbers: [{ climber: alice, isAborted: false }],
+      route,
+      leadClimber: null,
+      date: new Date('2024-05-01T00:00:00.003Z'),
+      isSolo: true,
+    };
+
+    test('keep the stored values and number for fields not given', async () => {
+      const { ascent } = await validateAscent({ notes: 'changed' }, existing);
+      expect(ascent.date).toEqual(existing.date);
+      expect(ascent.route).toBe(route);
+      expect(ascent.notes).toBe('changed');
+      expect(Ascent.findOne).not.toHaveBeenCalled();
+    });
+
+    test('check the climbing style against the stored flags', async () => {
+      const result = await validateAscent({ leadClimber: alice }, existing);
+      expect(errorTypes(result)).toEqual(['MULTIPLE_CLIMBING_STYLES']);
+    });
+
+    test('renumber the ascent when the date changes', async () => {
+      const { ascent } = await validateAscent({ date: '2024-06-01' }, existing);
+      expect(ascent.date).toEqual(new Date('2024-06-01T00:00:00.001Z'));
+      expect(Ascent.findOne).toHaveBeenCalledWith(expect.objectContaining({ _id: { $ne: existing._id } }));
+    });
+  });
+});
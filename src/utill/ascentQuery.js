@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const Route = require('../models/Route');
+const Summit = require('../models/Summit');
+
+const MAX_LIMIT = 1000;
+const idParams = ['climber', 'route', 'summit', 'region'];
+const styleFlags = ['isTopRope', 'isSolo', 'isAborted', 'isWithoutSupport'];
+// All query parameters of GET /ascents
+const ascentQueryParams = [...idParams, 'from', 'to', ...styleFlags, 'limit', 'cursor'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const encodeCursor = (ascent) =>
+  Buffer.from(
+    JSON.stringify({ date: ascent.date, id: ascent._id })
+  ).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { date, id } = JSON.parse(
+      Buffer.from(cursor, 'base64url').toString('utf8')
+    );
+    const parsedDate = new Date(date);
+    if (isNaN(parsedDate.getTime()) || !mongoose.isObjectIdOrHexString(id)) {
+      return null;
+    }
+    return { date: parsedDate, id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    return null;
+  }
+};
+
+// Parses the query parameters of GET /ascents.
+// Returns { errors } if any parameter is malformed, otherwise the parsed filters.
+const parseAscentQuery = (query) => {
+  const errors = [];
+  const parsed = { limit: null, cursor: null };
+
+  for (const param of idParams) {
+    if (query[param] === undefined) continue;
+    if (!mongoose.isObjectIdOrHexString(query[param])) {
+      errors.push({ type: 'INVALID_ID', message: `${param} must be a valid ObjectId`, value: query[param] });
+      continue;
+    }
+    parsed[param] = new mongoose.Types.ObjectId(query[param]);
+  }
+
+  for (const param of ['from', 'to']) {
+    if (query[param] === undefined) continue;
+    const date = new Date(query[param]);
+    if (isNaN(date.getTime())) {
+      errors.push({ type: 'INVALID_DATE_VALUE', message: `${param} must be a valid date`, value: query[param] });
+      continue;
+    }
+    if (param === 'to' && DATE_ONLY.test(query.to)) {
+      // Ascent dates are the day at UTC midnight plus their number of the day in milliseconds,
+      // so a date-only upper bound includes the whole day
+      parsed.before = new Date(date.getTime() + DAY_MS);
+      continue;
+    }
+    parsed[param] = date;
+  }
+
+  for (const flag of styleFlags) {
+    if (query[flag] === undefined) continue;
+    if (query[flag] !== 'true' && query[flag] !== 'false') {
+      errors.push({ type: 'INVALID_BOOLEAN_FIELD', message: `${flag} must be "true" or "false"`, value: query[flag] });
+      continue;
+    }
+    parsed[flag] = query[flag] === 'true';
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push({ type: 'INVALID_LIMIT', message: `limit must be an integer between 1 and ${MAX_LIMIT}`, value: query.limit });
+    } else {
+      parsed.limit = limit;
+    }
+  }
+
+  if (query.cursor !== undefined) {
+    parsed.cursor = decodeCursor(query.cursor);
+    if (!parsed.cursor) {
+      errors.push({ type: 'INVALID_CURSOR', message: 'cursor is malformed', value: query.cursor });
+    }
+  }
+
+  return errors.length > 0 ? { errors } : parsed;
+};
+
+// Builds the $match stage for the parsed filters. Summit and region filters are
+// resolved to route ids up front so the match runs on indexed ascent fields only.
+const buildAscentMatch = async (filters) => {
+  const conditions = [];
+
+  if (filters.climber) conditions.push({ 'climbers.climber': filters.climber });
+
+  if (filters.route) conditions.push({ route: filters.route });
+  if (filters.summit) {
+    const routeIds = await Route.find({ summit: filters.summit }).distinct('_id');
+    conditions.push({ route: { $in: routeIds } });
+  }
+  if (filters.region) {
+    const summitIds = await Summit.find({ region: filters.region }).distinct('_id');
+    const routeIds = await Route.find({ summit: { $in: summitIds } }).distinct('_id');
+    conditions.push({ route: { $in: routeIds } });
+  }
+
+  if (filters.from) conditions.push({ date: { $gte: filters.from } });
+  if (filters.to) conditions.push({ date: { $lte: filters.to } });
+  if (filters.before) conditions.push({ date: { $lt: filters.before } });
+
+  for (const flag of styleFlags) {
+    if (filters[flag] !== undefined) conditions.push({ [flag]: filters[flag] });
+  }
+
+  if (filters.cursor) {
+    const { date, id } = filters.cursor;
+    conditions.push({ $or: [{ date: { $gt: date } }, { date, _id: { $gt: id } }] });
+  }
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+module.exports = { parseAscentQuery, buildAscentMatch, encodeCursor, ascentQueryParams };
@@ -1,41 +1,92 @@
-module.exports = computeTrips = (ascents) => {
-    // Group ascents by day (YYYY-MM-DD)
-    if(ascents && ascents.length === 1) ascents = ascents[0]
+const DEFAULT_TRIP_OPTIONS = {
+    gap: 4, // max number of days between two climbing days of the same trip (4 = up to 3 off days)
+    locale: 'de-DE', // locale of the month names in the trip name
+}
+
+// Formats an ascent date as YYYY-MM-DD. Ascent dates are calendar days stored as UTC midnight
+// (plus their number of the day in milliseconds), not times, so the UTC day is the ascent day
+const toDayString = (date) => new Date(date).toISOString().slice(0, 10)
+
+// Groups ascents into days: [{ name: 'YYYY-MM-DD', ascents: [ascentId, ...] }], sorted by date
+const groupAscentsByDay = (ascents) => {
     const ascentsByDay = ascents
         .map(ascent => { return { _id: ascent._id, date: ascent.date } })
         .toSorted((a, b) => new Date(a.date) - new Date(b.date))
         .reduce((grouped, ascent) => {
-        const dayString = new Date(ascent.date).toISOString().slice(0, 10)
+        const dayString = toDayString(ascent.date)
         if (!grouped[dayString]) grouped[dayString] = []
         grouped[dayString].push(ascent)
         return grouped
         }, {})
 
-    const sortedDays = Object.keys(ascentsByDay).toSorted()
+    return Object.keys(ascentsByDay).toSorted()
+        .map(dayString => ({ name: dayString, ascents: ascentsByDay[dayString].map(ascent => { return ascent._id }) }))
+}
+
+// Trip name from its months and the year of its first day, e.g. "Juli/August 2024"
+// Day strings are UTC midnight, so they are formatted in UTC to keep the day
+const tripName = (days, locale = DEFAULT_TRIP_OPTIONS.locale) => {
+    const months = [...new Set(days.map(dayObj => new Date(dayObj.name).toLocaleString(locale, { month: 'long', timeZone: 'UTC' })))]
+    const year = new Date(days[0].name).toLocaleString(locale, { year: 'numeric', timeZone: 'UTC' })
+    return months.join('/') + ' ' + year
+}
+
+const computeTrips = (ascents, options = {}) => {
+    const { gap, locale } = { ...DEFAULT_TRIP_OPTIONS, ...options }
+
     let trips = []
     let currentTrip = []
     let lastDayDate = null
 
-    // Split days into trips, allowing max 1 off day between
-    for (const dayString of sortedDays) {
-        const currentDayDate = new Date(dayString)
+    // Split days into trips, allowing at most gap - 1 off days between
+    for (const day of groupAscentsByDay(ascents)) {
+        const currentDayDate = new Date(day.name)
         if (
         lastDayDate &&
-        (currentDayDate - lastDayDate) / (1000 * 60 * 60 * 24) > 4 // more than 3 off day
+        (currentDayDate - lastDayDate) / (1000 * 60 * 60 * 24) > gap
         ) {
         if (currentTrip.length) trips.push(currentTrip)
         currentTrip = []
         }
-        currentTrip.push({ name: dayString, ascents: ascentsByDay[dayString].map(ascent => { return ascent._id })})
+        currentTrip.push(day)
         lastDayDate = currentDayDate
     }
     if (currentTrip.length) trips.push(currentTrip)
 
     // Add trip name (months/year) to each trip
     return trips.map((trip) => {
-        const months = [...new Set(trip.map(dayObj => new Date(dayObj.name).toLocaleString('de-DE', { month: 'long' })))]
-        const year = new Date(trip[0].name).toLocaleString('de-DE', { year: 'numeric' })
-        const name = months.join('/') + ' ' + year
-        return {name, days:trip }
+        return { name: tripName(trip, locale), days: trip }
     })
-}
\ No newline at end of file
+}
+
+// Parses ?gap=&locale= of trip requests.
+// Returns { errors } if a parameter is invalid, otherwise the options for computeTrips.
+const parseTripOptions = (query) => {
+    const errors = []
+    const options = {}
+
+    if (query.gap !== undefined) {
+        const gap = Number(query.gap)
+        if (!Number.isInteger(gap) || gap < 1 || gap > 365) {
+            errors.push({ type: 'INVALID_GAP', message: 'gap must be an integer between 1 and 365', value: query.gap })
+        } else {
+            options.gap = gap
+        }
+    }
+    if (query.locale !== undefined) {
+        try {
+            if (Intl.DateTimeFormat.supportedLocalesOf(query.locale).length === 0) throw new RangeError()
+            options.locale = query.locale
+        } catch (err) {
+            errors.push({ type: 'INVALID_LOCALE', message: 'locale is not supported', value: query.locale })
+        }
+    }
+
+    return errors.length > 0 ? { errors } : { options }
+}
+
+module.exports = computeTrips
+module.exports.parseTripOptions = parseTripOptions
+module.exports.DEFAULT_TRIP_OPTIONS = DEFAULT_TRIP_OPTIONS
+module.exports.groupAscentsByDay = groupAscentsByDay
+module.exports.tripName = tripName
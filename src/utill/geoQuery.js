@@ -0,0 +1,89 @@
+const { toPoint } = require('./gpsPosition');
+
+const DEFAULT_MAX_DISTANCE = 2000; // meters
+const MAX_MAX_DISTANCE = 100000;
+
+const parseNumbers = (value, count) => {
+  const numbers = String(value).split(',').map(Number);
+  return numbers.length === count && numbers.every(Number.isFinite) ? numbers : null;
+};
+
+const isLngLat = ([lng, lat]) => lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90;
+
+// Parses ?near=lng,lat&maxDistance=<meters> and ?bbox=west,south,east,north of summit requests.
+// Returns { errors } if a parameter is malformed, otherwise { near, maxDistance, bbox } (unset ones null).
+const parseGeoQuery = (query) => {
+  const errors = [];
+  const parsed = { near: null, maxDistance: DEFAULT_MAX_DISTANCE, bbox: null };
+
+  if (query.near !== undefined) {
+    const near = parseNumbers(query.near, 2);
+    if (!near || !isLngLat(near)) {
+      errors.push({ type: 'INVALID_NEAR', message: 'near must be "lng,lat"', value: query.near });
+    } else {
+      parsed.near = { lng: near[0], lat: near[1] };
+    }
+  }
+
+  if (query.maxDistance !== undefined) {
+    const maxDistance = Number(query.maxDistance);
+    if (!Number.isFinite(maxDistance) || maxDistance <= 0 || maxDistance > MAX_MAX_DISTANCE) {
+      errors.push({ type: 'INVALID_MAX_DISTANCE', message: `maxDistance must be a number of meters between 0 and ${MAX_MAX_DISTANCE}`, value: query.maxDistance });
+    } else if (query.near === undefined) {
+      errors.push({ type: 'INVALID_MAX_DISTANCE', message: 'maxDistance can only be used together with near', value: query.maxDistance });
+    } else {
+      parsed.maxDistance = maxDistance;
+    }
+  }
+
+  if (query.bbox !== undefined) {
+    const bbox = parseNumbers(query.bbox, 4);
+    if (!bbox || !isLngLat(bbox.slice(0, 2)) || !isLngLat(bbox.slice(2)) || bbox[0] >= bbox[2] || bbox[1] >= bbox[3]) {
+      errors.push({ type: 'INVALID_BBOX', message: 'bbox must be "west,south,east,north"', value: query.bbox });
+    } else {
+      const [west, south, east, north] = bbox;
+      parsed.bbox = { west, south, east, north };
+    }
+  }
+
+  return errors.length > 0 ? { errors } : parsed;
+};
+
+// Stages to put in front of the summit pipeline for the parsed geo filters.
+// $geoNear has to be the first stage and adds the distance in meters to every summit.
+const geoStages = ({ near, maxDistance, bbox }) => {
+  const bboxMatch = bbox
+    ? {
+        gpsPosition: {
+          $geoWithin: {
+            $geometry: {
+              type: 'Polygon',
+              coordinates: [[
+                [bbox.west, bbox.south],
+                [bbox.east, bbox.south],
+                [bbox.east, bbox.north],
+                [bbox.west, bbox.north],
+                [bbox.west, bbox.south],
+              ]],
+            },
+          },
+        },
+      }
+    : null;
+
+  if (near) {
+    return [{
+      $geoNear: {
+        near: toPoint(near),
+        distanceField: 'distance',
+        maxDistance,
+        spherical: true,
+        key: 'gpsPosition',
+        ...(bboxMatch ? { query: bboxMatch } : {}),
+      },
+    }];
+  }
+  return bboxMatch ? [{ $match: bboxMatch }] : [];
+};
+
+module.exports = { parseGeoQuery, geoStages };
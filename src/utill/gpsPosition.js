@@ -0,0 +1,26 @@
+// Summit.gpsPosition is stored as GeoJSON point, the API keeps returning { lng, lat }.
+
+// Aggregation expression for the { lng, lat } output of $gpsPosition
+// (positions not yet migrated from { lng, lat } are passed through)
+const gpsPositionOutput = {
+  $cond: [
+    { $isArray: "$gpsPosition.coordinates" },
+    {
+      lng: { $arrayElemAt: ["$gpsPosition.coordinates", 0] },
+      lat: { $arrayElemAt: ["$gpsPosition.coordinates", 1] },
+    },
+    "$gpsPosition",
+  ],
+};
+
+// Same conversion for a plain object
+const toLngLat = (gpsPosition) => {
+  if (!gpsPosition || !Array.isArray(gpsPosition.coordinates)) return gpsPosition;
+  const [lng, lat] = gpsPosition.coordinates;
+  return { lng, lat };
+};
+
+// GeoJSON point from { lng, lat }
+const toPoint = ({ lng, lat }) => ({ type: "Point", coordinates: [lng, lat] });
+
+module.exports = { gpsPositionOutput, toLngLat, toPoint };
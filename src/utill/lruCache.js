@@ -0,0 +1,38 @@
+// Size-bounded in-memory cache, the least recently used entry is evicted first
+class LruCache {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    if (!this.entries.has(key)) return null;
+    // Map keeps insertion order, re-inserting marks the entry as most recently used
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  keys() {
+    return [...this.entries.keys()];
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = LruCache;
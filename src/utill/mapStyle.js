@@ -0,0 +1,108 @@
+// Rewrites the map style for the requesting deployment and applies style variants
+
+// Name of the vector source with the base map tiles in the style (OpenMapTiles schema)
+const BASE_SOURCE = 'openmaptiles';
+// Source added for the summit overlay tiles
+const OVERLAY_SOURCE = 'summits';
+
+// Recolors layers by type and source layer: rules of { type, sourceLayers?, paint?, layout? }
+const recolor = (rules) => (style) => {
+  for (const layer of style.layers) {
+    for (const rule of rules) {
+      if (rule.type !== layer.type) continue;
+      if (rule.sourceLayers && !rule.sourceLayers.includes(layer['source-layer'])) continue;
+      if (rule.paint) layer.paint = { ...layer.paint, ...rule.paint };
+      if (rule.layout) layer.layout = { ...layer.layout, ...rule.layout };
+    }
+  }
+};
+
+// Removes hillshade layers and the sources only they used
+const removeHillshade = (style) => {
+  const isHillshade = (layer) => layer.type === 'hillshade' || /hillshade/i.test(layer.id);
+  const removedSources = new Set(style.layers.filter(isHillshade).map((layer) => layer.source));
+  style.layers = style.layers.filter((layer) => !isHillshade(layer));
+  const usedSources = new Set(style.layers.map((layer) => layer.source));
+  for (const name of removedSources) {
+    if (!usedSources.has(name)) delete style.sources[name];
+  }
+};
+
+/**
+ * Style variants selectable by query parameter (?season=winter&theme=dark&hillshade=false).
+ * The first value of each option is the default and leaves the style unchanged.
+ */
+const styleVariants = {
+  season: {
+    summer: null,
+    winter: recolor([
+      { type: 'background', paint: { 'background-color': '#f7f9fb' } },
+      { type: 'fill', sourceLayers: ['landcover', 'park'], paint: { 'fill-color': '#eef2f5' } },
+    ]),
+  },
+  theme: {
+    light: null,
+    dark: recolor([
+      { type: 'background', paint: { 'background-color': '#1d1f21' } },
+      { type: 'fill', sourceLayers: ['landcover', 'landuse', 'park'], paint: { 'fill-color': '#26292c' } },
+      { type: 'fill', sourceLayers: ['building'], paint: { 'fill-color': '#303336' } },
+      { type: 'fill', sourceLayers: ['water'], paint: { 'fill-color': '#17263a' } },
+      { type: 'line', sourceLayers: ['waterway'], paint: { 'line-color': '#17263a' } },
+      { type: 'line', sourceLayers: ['transportation'], paint: { 'line-color': '#4a4d50' } },
+      { type: 'symbol', paint: { 'text-color': '#d8d8d8', 'text-halo-color': '#1d1f21' } },
+    ]),
+  },
+  hillshade: {
+    true: null,
+    false: removeHillshade,
+  },
+};
+
+/**
+ * Validates the variant query parameters. Returns { variants } with a value for every
+ * option, or { errors } in the format of the other query validations.
+ */
+const parseStyleQuery = (query) => {
+  const errors = [];
+  const variants = {};
+  for (const [option, values] of Object.entries(styleVariants)) {
+    const names = Object.keys(values);
+    const value = query[option] === undefined ? names[0] : String(query[option]);
+    if (!names.includes(value)) {
+      errors.push({ type: 'INVALID_VARIANT', message: `${option} must be one of: ${names.join(', ')}`, value: query[option] });
+    }
+    variants[option] = value;
+  }
+  return errors.length > 0 ? { errors } : { variants };
+};
+
+/**
+ * Returns a copy of the style with the tile, sprite and glyph URLs pointing to baseUrl
+ * (the URL of the map routes), the summit overlay source added and the variants applied.
+ */
+const renderStyle = (style, { baseUrl, variants }) => {
+  const result = JSON.parse(JSON.stringify(style));
+
+  const baseSource = result.sources[BASE_SOURCE];
+  if (baseSource) {
+    // tiles instead of a TileJSON url, keep the zoom range of the base tiles
+    delete baseSource.url;
+    baseSource.tiles = [`${baseUrl}/tiles/{z}/{x}/{y}.pbf`];
+    baseSource.maxzoom = baseSource.maxzoom ?? 14;
+  }
+  result.sources[OVERLAY_SOURCE] = {
+    type: 'vector',
+    tiles: [`${baseUrl}/overlay/{z}/{x}/{y}.pbf`],
+  };
+  result.sprite = `${baseUrl}/sprite`;
+  result.glyphs = `${baseUrl}/fonts/{fontstack}/{range}.pbf`;
+
+  for (const [option, value] of Object.entries(variants)) {
+    const apply = styleVariants[option][value];
+    if (apply) apply(result);
+  }
+  result.metadata = { ...result.metadata, 'gipfel:variants': variants };
+  return result;
+};
+
+module.exports = { styleVariants, parseStyleQuery, renderStyle };
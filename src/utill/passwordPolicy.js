@@ -0,0 +1,32 @@
+// Minimum password strength for passwords set through the API
+const MIN_LENGTH = 10;
+
+const characterClasses = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+/**
+ * Checks a password against the policy: at least MIN_LENGTH characters, at least
+ * three of lowercase, uppercase, digits and other characters, and not containing the username.
+ * Returns a list of { type, message } errors, empty if the password is strong enough.
+ * The password itself is never included in the errors.
+ */
+const checkPasswordStrength = (password, username) => {
+  if (typeof password !== 'string' || password === '') {
+    return [{ type: 'INVALID_PASSWORD', message: 'password must be a non-empty string' }];
+  }
+  const errors = [];
+  if (password.length < MIN_LENGTH) {
+    errors.push({ type: 'WEAK_PASSWORD', message: `password must be at least ${MIN_LENGTH} characters long` });
+  }
+  if (characterClasses.filter((pattern) => pattern.test(password)).length < 3) {
+    errors.push({
+      type: 'WEAK_PASSWORD',
+      message: 'password must contain three of: lowercase letters, uppercase letters, digits, other characters',
+    });
+  }
+  if (username && password.toLowerCase().includes(String(username).toLowerCase())) {
+    errors.push({ type: 'WEAK_PASSWORD', message: 'password must not contain the username' });
+  }
+  return errors;
+};
+
+module.exports = { checkPasswordStrength, MIN_LENGTH };
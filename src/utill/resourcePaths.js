@@ -8,9 +8,20 @@ module.exports = {
   // Path to the sprite JSON file for the map
   mapSpriteJsonPath: 'data/map/sprite.json',
 
+  // Optional high-DPI sprite (PNG and JSON), the 1x sprite is served in its place if missing
+  mapSprite2xPngPath: 'data/map/sprite@2x.png',
+  mapSprite2xJsonPath: 'data/map/sprite@2x.json',
+
   // Path to the style JSON file for the map
   mapStylePath: 'data/map/style.json',
 
   // Path to the tiles directory for the map
-  mapTilesPath: 'data/map/tiles.tar.gz'
+  mapTilesPath: 'data/map/tiles.tar.gz',
+
+  // Tile sources for serving single tiles: MBTiles file, or uncompressed tar archive as fallback
+  mapTilesMbtilesPath: 'data/map/tiles.mbtiles',
+  mapTilesTarPath: 'data/map/tiles.tar',
+
+  // Directory for the generated offline data bundles
+  bundleDir: 'data/bundle'
 }
\ No newline at end of file
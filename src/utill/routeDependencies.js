@@ -0,0 +1,29 @@
+const LastChange = require('../models/LastChange');
+
+// Collections (besides its own) whose changes affect the data of a resource route
+const routeDependencies = {
+    ascents: ["climbers", "routes", "summits","regions"], 
+    climbers: ["ascents"], 
+    regions: ["summits"], 
+    routes: ["regions","summits"], 
+    summits: ["regions", "routes"], 
+    trips: ["ascents","climbers", "routes", "summits","regions"],
+    partners: ["ascents", "climbers"],
+    search: ["climbers", "regions", "routes", "summits"]
+};
+
+// All collections a resource route depends on, including the route itself
+const collectionsOf = (route) => {
+    const dependencies = routeDependencies[route];
+    return dependencies ? [route, ...dependencies] : null;
+};
+
+// Most recent modification date of the given collections, null if none was recorded
+const getLastModified = async (collections) => {
+    const records = await LastChange.find({ collectionName: { $in: collections } });
+    const lastModifiedDays = records.filter(r => r.lastModified).map(r => r.lastModified);
+    if (lastModifiedDays.length === 0) return null;
+    return new Date(Math.max(...lastModifiedDays));
+};
+
+module.exports = { routeDependencies, collectionsOf, getLastModified };
@@ -0,0 +1,94 @@
+// German-aware text normalisation and fuzzy matching for the search endpoint
+
+const replacements = [
+  [/ä/g, 'ae'],
+  [/ö/g, 'oe'],
+  [/ü/g, 'ue'],
+  [/ß/g, 'ss'],
+];
+
+// Lowercases, spells out umlauts and ß, folds other accents and reduces
+// everything that is not a letter or digit to single spaces
+const normalize = (text) => {
+  let result = String(text || '').normalize('NFC').toLowerCase();
+  for (const [pattern, replacement] of replacements) {
+    result = result.replace(pattern, replacement);
+  }
+  return result
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+// Normalized text without spaces, so "Falken Turm", "Falken-Turm" and "Falkenturm" are equal
+const compact = (normalized) => normalized.replace(/ /g, '');
+
+// Levenshtein distance with adjacent transpositions (optimal string alignment)
+const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+};
+
+// Number of typos tolerated for a term of the given length
+const allowedTypos = (length) => (length < 4 ? 0 : length < 8 ? 1 : 2);
+
+// Best fuzzy similarity (0..1) of a term to the start of any word, or to the whole text
+const fuzzySimilarity = (term, words, whole) => {
+  const typos = allowedTypos(term.length);
+  if (typos === 0) return 0;
+  let best = 0;
+  for (const candidate of [...words, whole]) {
+    // compare with a prefix of the same length, so partial words can match too
+    const prefix = candidate.slice(0, term.length);
+    const distance = Math.min(editDistance(term, prefix), editDistance(term, candidate));
+    if (distance <= typos) {
+      best = Math.max(best, 1 - distance / Math.max(term.length, 1));
+    }
+  }
+  return best;
+};
+
+/**
+ * Prepares a text for matching (done once per indexed document).
+ */
+const prepare = (text) => {
+  const normalized = normalize(text);
+  return { normalized, compact: compact(normalized), words: normalized.split(' ').filter(Boolean) };
+};
+
+/**
+ * Relevance (0..1) of a prepared text for a prepared query, 0 if it does not match.
+ * Exact matches rank above prefix matches, above substring matches, above fuzzy matches.
+ * Every word of the query has to match somewhere.
+ */
+const score = (query, text) => {
+  if (!query.compact || !text.compact) return 0;
+  if (text.compact === query.compact) return 1;
+  if (text.compact.startsWith(query.compact)) return 0.9;
+  if (text.words.some(word => word.startsWith(query.compact))) return 0.85;
+  if (text.compact.includes(query.compact)) return 0.75;
+
+  let total = 0;
+  for (const term of query.words) {
+    let termScore = 0;
+    if (text.words.some(word => word.startsWith(term))) termScore = 0.7;
+    else if (text.compact.includes(term)) termScore = 0.6;
+    else termScore = 0.5 * fuzzySimilarity(term, text.words, text.compact);
+    if (termScore === 0) return 0;
+    total += termScore;
+  }
+  return total / query.words.length;
+};
+
+module.exports = { normalize, prepare, score };
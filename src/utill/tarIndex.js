@@ -0,0 +1,102 @@
+const fs = require('fs');
+
+const BLOCK_SIZE = 512;
+
+const readString = (buffer, start, length) => {
+  const value = buffer.toString('utf8', start, start + length);
+  const end = value.indexOf('\0');
+  return end === -1 ? value : value.slice(0, end);
+};
+
+// Size field: octal, or base-256 if the high bit is set (GNU extension for files > 8 GB)
+const readSize = (header) => {
+  if (header[124] & 0x80) {
+    let size = 0;
+    for (let i = 125; i < 136; i++) size = size * 256 + header[i];
+    return size;
+  }
+  return parseInt(readString(header, 124, 12).trim() || '0', 8);
+};
+
+// Path of a pax extended header ("<length> path=<value>\n" records), if present
+const readPaxPath = (data) => {
+  const match = data.toString('utf8').match(/\d+ path=([^\n]*)\n/);
+  return match ? match[1] : null;
+};
+
+// Walks the headers of an uncompressed tar archive of totalSize bytes, reading with
+// read(position, length). Returns a Map from entry path to { offset, size } of the file contents.
+const indexEntries = async (read, totalSize) => {
+  const index = new Map();
+  let position = 0;
+  let longName = null;
+
+  while (position + BLOCK_SIZE <= totalSize) {
+    const header = await read(position, BLOCK_SIZE);
+    // end of archive: an empty block
+    if (header.every((byte) => byte === 0)) break;
+
+    const size = readSize(header);
+    const type = String.fromCharCode(header[156] || 48);
+    const dataOffset = position + BLOCK_SIZE;
+
+    if (type === 'L' || type === 'x') {
+      const data = await read(dataOffset, size);
+      longName = type === 'L' ? readString(data, 0, size) : readPaxPath(data) ?? longName;
+    } else {
+      if (type === '0' || type === '7') {
+        let name = readString(header, 0, 100);
+        if (readString(header, 257, 5) === 'ustar') {
+          const prefix = readString(header, 345, 155);
+          if (prefix) name = `${prefix}/${name}`;
+        }
+        index.set(longName ?? name, { offset: dataOffset, size });
+      }
+      longName = null;
+    }
+
+    position = dataOffset + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+  }
+  return index;
+};
+
+/**
+ * Reads the headers of an uncompressed tar archive and returns a Map from
+ * entry path to { offset, size } of the file contents, without reading the contents.
+ * Supports ustar prefixes, GNU long names and pax paths.
+ */
+const buildTarIndex = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size: fileSize } = await handle.stat();
+    return await indexEntries(async (position, length) => {
+      const data = Buffer.alloc(length);
+      await handle.read(data, 0, length, position);
+      return data;
+    }, fileSize);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Unpacks an uncompressed tar archive held in memory into a Map from entry path to contents.
+ */
+const readTarBuffer = async (buffer) => {
+  const entries = await indexEntries(async (position, length) => buffer.subarray(position, position + length), buffer.length);
+  return new Map([...entries].map(([name, { offset, size }]) => [name, buffer.subarray(offset, offset + size)]));
+};
+
+// Reads the contents of an indexed tar entry
+const readTarEntry = async (filePath, { offset, size }) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const data = Buffer.alloc(size);
+    await handle.read(data, 0, size, offset);
+    return data;
+  } finally {
+    await handle.close();
+  }
+};
+
+module.exports = { buildTarIndex, readTarEntry, readTarBuffer };
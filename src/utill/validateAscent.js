@@ -0,0 +1,254 @@
+const mongoose = require('mongoose');
+const Ascent = require('../models/Ascent');
+const Climber = require('../models/Climber');
+const Route = require('../models/Route');
+
+// Mirrors the rules of data-processing/db-pipeline/importers/ascentsJsonImporter.js
+// for ascents written through the API. Climbers, lead climber and route are given
+// by id instead of abbreviation / name. Problems the importer only warns about
+// (unknown fields, non-boolean flags, lead climber missing from climbers, multiple
+// climbing styles) are errors here, since there is nobody to review the warnings.
+
+const knownFields = [
+  'climbers',
+  'route',
+  'date',
+  'number',
+  'leadClimber',
+  'notes',
+  'isTopRope',
+  'isSolo',
+  'isWithoutSupport',
+  'isAborted',
+];
+const booleanFields = ['isTopRope', 'isSolo', 'isWithoutSupport', 'isAborted'];
+const MAX_NUMBER = 999;
+
+const isId = (value) => mongoose.isObjectIdOrHexString(value);
+
+// Climbers can be given as "<id>" or { climber: "<id>", isAborted: true }
+const processClimbers = async (climbersData, errors) => {
+  if (climbersData === undefined || climbersData === null) {
+    errors.push({ type: 'MISSING_CLIMBERS', message: 'Climbers field is required' });
+    return null;
+  }
+  if (!Array.isArray(climbersData)) {
+    errors.push({ type: 'INVALID_CLIMBERS_FORMAT', message: 'Expected array of climbers', value: climbersData });
+    return null;
+  }
+  if (climbersData.length === 0) {
+    errors.push({ type: 'EMPTY_CLIMBERS_ARRAY', message: 'Climbers array cannot be empty' });
+    return null;
+  }
+
+  const climbers = [];
+  for (const item of climbersData) {
+    const entry = typeof item === 'object' && item !== null ? item : { climber: item };
+    if (!isId(entry.climber)) {
+      errors.push({ type: 'INVALID_CLIMBER_FORMAT', message: 'Expected climber id', value: item });
+      continue;
+    }
+    if (entry.isAborted !== undefined && typeof entry.isAborted !== 'boolean') {
+      errors.push({ type: 'INVALID_BOOLEAN_FIELD', message: 'Field "isAborted" of a climber must be a boolean', value: entry.isAborted });
+      continue;
+    }
+    climbers.push({ climber: String(entry.climber), isAborted: entry.isAborted === true });
+  }
+
+  const ids = climbers.map((c) => c.climber);
+  const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+  if (duplicates.length > 0) {
+    errors.push({ type: 'DUPLICATE_CLIMBER', message: 'A climber can only be listed once', value: [...new Set(duplicates)] });
+  }
+
+  const existing = await Climber.find({ _id: { $in: ids } }).distinct('_id');
+  const existingIds = existing.map(String);
+  for (const id of ids) {
+    if (!existingIds.includes(id)) {
+      errors.push({ type: 'UNKNOWN_CLIMBER', message: 'Climber not found', value: id });
+    }
+  }
+
+  return climbers;
+};
+
+const processRoute = async (routeData, errors) => {
+  if (!isId(routeData)) {
+    errors.push({ type: 'INVALID_ROUTE', message: 'Route must be a valid route id', value: routeData });
+    return null;
+  }
+  if (!(await Route.exists({ _id: routeData }))) {
+    errors.push({ type: 'UNKNOWN_ROUTE', message: 'Route not found', value: routeData });
+    return null;
+  }
+  return String(routeData);
+};
+
+// Returns midnight (UTC) of the given day, or null if the value is not a date
+const processDay = (dateData, errors) => {
+  if (!dateData || (typeof dateData !== 'string' && !(dateData instanceof Date))) {
+    errors.push({ type: 'INVALID_DATE_STRING', message: 'Date must be a non-empty string', value: dateData });
+    return null;
+  }
+  const parsedDate = new Date(typeof dateData === 'string' ? dateData.trim() : dateData);
+  if (isNaN(parsedDate.getTime())) {
+    errors.push({ type: 'INVALID_DATE_VALUE', message: 'Date is not valid', value: dateData });
+    return null;
+  }
+  return new Date(Date.UTC(parsedDate.getUTCFullYear(), parsedDate.getUTCMonth(), parsedDate.getUTCDate()));
+};
+
+// The number of an ascent within its day is stored in the milliseconds of the date.
+// Without a number the ascent is appended after the last ascent of that day.
+const processNumber = async (number, day, excludeId, errors) => {
+  const nextDay = new Date(day.getTime() + 24 * 60 * 60 * 1000);
+  const sameDay = { date: { $gte: day, $lt: nextDay }, _id: { $ne: excludeId } };
+
+  if (number === undefined || number === null) {
+    const last = await Ascent.findOne(sameDay).sort({ date: -1 });
+    const next = last ? last.date.getUTCMilliseconds() + 1 : 1;
+    if (next > MAX_NUMBER) {
+      errors.push({ type: 'INVALID_DATE_NUMBER', message: `A day cannot have more than ${MAX_NUMBER} ascents`, value: next });
+      return null;
+    }
+    return next;
+  }
+
+  if (!Number.isInteger(number) || number < 1 || number > MAX_NUMBER) {
+    errors.push({ type: 'INVALID_DATE_NUMBER', message: `Number must be an integer between 1 and ${MAX_NUMBER}`, value: number });
+    return null;
+  }
+  const date = new Date(day.getTime() + number);
+  if (await Ascent.exists({ date, _id: { $ne: excludeId } })) {
+    errors.push({ type: 'DUPLICATE_DATE', message: 'Another ascent already has this number on this day', value: number });
+    return null;
+  }
+  return number;
+};
+
+const processOptionalFields = (input, ascent, errors) => {
+  if (input.notes !== undefined && input.notes !== null) {
+    if (typeof input.notes !== 'string') {
+      errors.push({ type: 'INVALID_NOTES', message: 'Notes must be a string', value: input.notes });
+    } else {
+      ascent.notes = input.notes.trim() === '' ? null : input.notes.trim();
+    }
+  } else if (input.notes === null) {
+    ascent.notes = null;
+  }
+
+  for (const fieldName of booleanFields) {
+    if (input[fieldName] === undefined || input[fieldName] === null) continue;
+    if (typeof input[fieldName] !== 'boolean') {
+      errors.push({
+        type: 'INVALID_BOOLEAN_FIELD',
+        message: `Field "${fieldName}" must be a boolean, found ${typeof input[fieldName]}`,
+        value: input[fieldName],
+      });
+      continue;
+    }
+    ascent[fieldName] = input[fieldName];
+  }
+};
+
+// Lead climber must be one of the climbers and is moved to the first position
+const processLeadClimber = (leadClimberData, climbers, errors) => {
+  if (leadClimberData === undefined || leadClimberData === null || leadClimberData === '') {
+    return { leadClimber: null, climbers };
+  }
+  if (!isId(leadClimberData)) {
+    errors.push({ type: 'INVALID_LEAD_CLIMBER', message: 'Lead climber must be a valid climber id', value: leadClimberData });
+    return { leadClimber: null, climbers };
+  }
+  const leadClimber = String(leadClimberData);
+  if (!climbers) return { leadClimber, climbers };
+
+  const leadClimberIndex = climbers.findIndex((c) => c.climber === leadClimber);
+  if (leadClimberIndex === -1) {
+    errors.push({ type: 'LEAD_CLIMBER_NOT_IN_ARRAY', message: 'Lead climber must be one of the climbers', value: leadClimber });
+    return { leadClimber, climbers };
+  }
+  const reordered = [...climbers];
+  reordered.unshift(reordered.splice(leadClimberIndex, 1)[0]);
+  return { leadClimber, climbers: reordered };
+};
+
+const validateClimbingStyleExclusivity = (ascent, errors) => {
+  const activeStyles = [];
+  if (ascent.leadClimber) activeStyles.push('leadClimber');
+  if (ascent.isSolo === true) activeStyles.push('isSolo');
+  if (ascent.isTopRope === true) activeStyles.push('isTopRope');
+
+  if (activeStyles.length > 1) {
+    errors.push({
+      type: 'MULTIPLE_CLIMBING_STYLES',
+      message: `An ascent can only have one climbing style. Found: ${activeStyles.join(', ')}. These should be mutually exclusive.`,
+      value: activeStyles,
+    });
+  }
+};
+
+/**
+ * Validates an ascent written through the API.
+ * For updates, `existing` is the stored ascent and `input` only holds the changed fields.
+ * Returns { errors } if the ascent is invalid, otherwise { ascent } ready to be saved.
+ */
+const validateAscent = async (input, existing = null) => {
+  const errors = [];
+
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { errors: [{ type: 'INVALID_ASCENT_OBJECT', message: 'Ascent must be an object', value: input }] };
+  }
+
+  for (const key of Object.keys(input)) {
+    if (!knownFields.includes(key)) {
+      errors.push({ type: 'UNKNOWN_FIELD', message: `Unknown field "${key}" found in ascent data`, value: input[key] });
+    }
+  }
+
+  // For updates, fall back to the stored values for everything not given
+  const merged = existing
+    ? {
+        climbers: existing.climbers.map((c) => ({ climber: String(c.climber), isAborted: c.isAborted })),
+        route: String(existing.route),
+        leadClimber: existing.leadClimber ? String(existing.leadClimber) : null,
+        date: existing.date,
+        ...input,
+      }
+    : input;
+
+  const ascent = {};
+  let climbers = await processClimbers(merged.climbers, errors);
+  const leadResult = processLeadClimber(merged.leadClimber, climbers, errors);
+  ascent.leadClimber = leadResult.leadClimber;
+  climbers = leadResult.climbers;
+  if (climbers) ascent.climbers = climbers;
+
+  const route = await processRoute(merged.route, errors);
+  if (route) ascent.route = route;
+
+  const day = processDay(merged.date, errors);
+  if (day) {
+    // Keep the stored number when neither date nor number change
+    const keepNumber = existing && input.date === undefined && input.number === undefined;
+    const number = keepNumber
+      ? existing.date.getUTCMilliseconds()
+      : await processNumber(merged.number, day, existing ? existing._id : null, errors);
+    if (number) ascent.date = new Date(day.getTime() + number);
+  }
+
+  processOptionalFields(input, ascent, errors);
+
+  validateClimbingStyleExclusivity(
+    {
+      leadClimber: ascent.leadClimber,
+      isSolo: ascent.isSolo ?? existing?.isSolo,
+      isTopRope: ascent.isTopRope ?? existing?.isTopRope,
+    },
+    errors
+  );
+
+  return errors.length > 0 ? { errors } : { ascent };
+};
+
+module.exports = validateAscent;
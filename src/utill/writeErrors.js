@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Translates errors thrown while writing a document into a response.
+// Validation problems are returned in the same { type, message, value } shape
+// as the ascent validation and the db-pipeline importers.
+const sendWriteError = (res, err) => {
+  if (err instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(err.errors).map((e) => ({
+      type: 'VALIDATION_ERROR',
+      field: e.path,
+      message: e.message,
+      value: e.value,
+    }));
+    return res.status(400).json({ errors });
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    return res.status(400).json({
+      errors: [{ type: 'INVALID_VALUE', field: err.path, message: err.message, value: err.value }],
+    });
+  }
+  if (err && err.code === 11000) {
+    return res.status(409).json({
+      errors: [{ type: 'DUPLICATE_KEY', message: 'A document with these values already exists', value: err.keyValue }],
+    });
+  }
+  console.error(err);
+  res.status(500).json({ error: err.message });
+};
+
+module.exports = sendWriteError;